@@ -0,0 +1,115 @@
+/**
+ * Smoke test for the action bundle built by `npm run package`
+ *
+ * The unit tests import src/index.js directly, which can't catch dependencies that fail to load once bundled
+ * with ncc. This script calls exports of the bundle that depend on a parser from a separate Node.js process.
+ *
+ * Usage: node scripts/check-bundle.js [bundle path, default dist/index.js]
+ */
+
+import { spawnSync } from 'child_process';
+import { isDeepStrictEqual } from 'util';
+import * as path from 'path';
+
+// Imports the bundle, then calls one of its exports with an Octokit stub serving the given base and head file
+// contents, and prints the result as JSON. Importing the bundle also runs the action, which fails on the missing
+// inputs; that output is ignored.
+const PROBE_SCRIPT = `
+const { pathToFileURL } = await import('url');
+const bundle = await import(pathToFileURL(process.env.BUNDLE_PATH).href);
+const files = JSON.parse(process.env.BUNDLE_FILES);
+const octokit = {
+  rest: {
+    repos: {
+      getContent: async ({ path, ref }) => {
+        const content = files[path]?.[ref];
+        if (content == null) throw Object.assign(new Error('Not Found'), { status: 404 });
+        return { data: { type: 'file', content: Buffer.from(content).toString('base64') } };
+      }
+    }
+  }
+};
+const result = await bundle[process.env.BUNDLE_EXPORT](...JSON.parse(process.env.BUNDLE_ARGS), octokit, 'owner', 'repo');
+process.stdout.write('\\nRESULT ' + JSON.stringify(result) + '\\n');
+`;
+
+const CHECKS = [
+  {
+    name: 'formatting-only changes (ignore-formatting-changes)',
+    exportName: 'getFormattingOnlyFiles',
+    args: [['src/a.ts', 'src/b.js'], 'base', 'head'],
+    files: {
+      'src/a.ts': { base: 'export const a: string = "a"', head: `export const a: string = 'a'; // a` },
+      'src/b.js': { base: 'export const b = 1;', head: 'export const b = 2;' }
+    },
+    expected: ['src/a.ts']
+  },
+  {
+    name: 'type declaration changes (check-type-declarations)',
+    exportName: 'detectTypeDeclarationChanges',
+    args: ['base', 'head', '.'],
+    files: {
+      'package.json': { base: '{ "types": "index.d.ts" }', head: '{ "types": "index.d.ts" }' },
+      'index.d.ts': {
+        base: 'export declare function parse(input: string | number): number;',
+        head: 'export declare function parse(input: string): number;'
+      }
+    },
+    expected: {
+      changes: [
+        {
+          field: 'types',
+          description: 'parameter "input" of "parse" narrowed from "string | number" to "string" in types',
+          incrementType: 'major'
+        }
+      ],
+      incrementType: 'major'
+    }
+  }
+];
+
+/**
+ * Call an export of the bundle in a separate Node.js process.
+ * @param {string} bundlePath - Path to the bundle
+ * @param {{exportName: string, args: any[], files: Object}} check - The export, its arguments, and the files to serve
+ * @returns {any} The parsed result
+ * @throws {Error} If the bundle did not return a result
+ */
+function callBundle(bundlePath, { exportName, args, files }) {
+  const { stdout, stderr } = spawnSync(process.execPath, ['--input-type=module', '-e', PROBE_SCRIPT], {
+    encoding: 'utf8',
+    timeout: 60000,
+    env: {
+      ...process.env,
+      BUNDLE_PATH: bundlePath,
+      BUNDLE_EXPORT: exportName,
+      BUNDLE_ARGS: JSON.stringify(args),
+      BUNDLE_FILES: JSON.stringify(files)
+    }
+  });
+  const resultLine = (stdout || '').split('\n').find(line => line.startsWith('RESULT '));
+  if (!resultLine) {
+    throw new Error(`The bundle did not return a result:\n${stdout}\n${stderr}`);
+  }
+  return JSON.parse(resultLine.slice('RESULT '.length));
+}
+
+const bundlePath = path.resolve(process.argv[2] || 'dist/index.js');
+for (const check of CHECKS) {
+  let result;
+  try {
+    result = callBundle(bundlePath, check);
+  } catch (error) {
+    process.stderr.write(`❌ ${check.name}: ${error.message}\n`);
+    process.exitCode = 1;
+    continue;
+  }
+  if (isDeepStrictEqual(result, check.expected)) {
+    process.stdout.write(`✅ ${check.name}\n`);
+  } else {
+    process.stderr.write(
+      `❌ ${check.name}: expected ${JSON.stringify(check.expected)}, got ${JSON.stringify(result)}\n`
+    );
+    process.exitCode = 1;
+  }
+}
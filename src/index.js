@@ -2,7 +2,12 @@ import * as core from '@actions/core';
 import * as github from '@actions/github';
 import * as fs from 'fs';
 import * as path from 'path';
+import { parse as parseJavaScript } from '@babel/parser';
+import { init as initCjsLexer, parse as parseCjs } from 'cjs-module-lexer';
+import { init as initEsmLexer, parse as parseEsm } from 'es-module-lexer';
+import { minimatch } from 'minimatch';
 import semver from 'semver';
+import YAML from 'yaml';
 
 const SHA_PATTERN = /^[a-f0-9]{7,40}$/i;
 // Pattern to detect shell metacharacters and other dangerous characters for command injection prevention
@@ -10,7 +15,32 @@ const SHELL_INJECTION_CHARS = /[;&|`$()'"<>]/;
 
 // File relevance checking constants
 const JS_TS_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx'];
-const RELEVANT_EXTENSIONS = [...JS_TS_EXTENSIONS, '.json'];
+// Selectable sets of relevant extensions for different kinds of packages (see resolveExtensions)
+const EXTENSION_PRESETS = {
+  default: JS_TS_EXTENSIONS,
+  'node-esm': ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts'],
+  vue: ['.vue', ...JS_TS_EXTENSIONS],
+  svelte: ['.svelte', ...JS_TS_EXTENSIONS],
+  'types-only': ['.d.ts', '.d.mts', '.d.cts'],
+  assets: [
+    '.css',
+    '.scss',
+    '.sass',
+    '.less',
+    '.html',
+    '.svg',
+    '.png',
+    '.jpg',
+    '.jpeg',
+    '.gif',
+    '.webp',
+    '.ico',
+    '.woff',
+    '.woff2',
+    '.ttf',
+    '.wasm'
+  ]
+};
 const EXCLUDED_DIRECTORIES = [
   'test',
   'tests',
@@ -32,11 +62,115 @@ const EXCLUDED_FILE_PATTERNS = ['.test.', '.spec.', '.config.'];
 const EXCLUDED_FILE_START_PATTERNS = ['test.', 'spec.'];
 const PACKAGE_JSON_FILENAME = 'package.json';
 const PACKAGE_LOCK_JSON_FILENAME = 'package-lock.json';
-const PACKAGE_FILENAMES = [PACKAGE_JSON_FILENAME, PACKAGE_LOCK_JSON_FILENAME];
+const NPM_SHRINKWRAP_FILENAME = 'npm-shrinkwrap.json';
+const YARN_LOCK_FILENAME = 'yarn.lock';
+const PNPM_LOCK_FILENAME = 'pnpm-lock.yaml';
+const BUN_LOCK_FILENAME = 'bun.lock';
+const PACKAGE_FILENAMES = [
+  PACKAGE_JSON_FILENAME,
+  PACKAGE_LOCK_JSON_FILENAME,
+  NPM_SHRINKWRAP_FILENAME,
+  YARN_LOCK_FILENAME,
+  PNPM_LOCK_FILENAME,
+  BUN_LOCK_FILENAME
+];
+
+// Lockfile analysis constants
+const YARN_BERRY_METADATA_KEY = '__metadata';
+const YARN_BERRY_METADATA_PATTERN = /^__metadata:/m;
+const PRODUCTION_DEPENDENCY_SECTIONS = ['dependencies', 'optionalDependencies', 'peerDependencies'];
 
 // Node runtime detection constants
 const RUNS_BLOCK_PATTERN = /^runs[^\S\r\n]*:/m;
-const DEFAULT_ACTION_YML_PATH = 'action.yml';
+// Action metadata file names; an action directory has one of them
+const ACTION_METADATA_FILENAMES = ['action.yml', 'action.yaml'];
+// runs.image prefix of Docker actions that run a published image instead of building a Dockerfile
+const DOCKER_IMAGE_PREFIX = 'docker://';
+// Lifecycle hooks of JavaScript actions; each runs before or after runs.main, unless its <hook>-if condition is false
+const ACTION_LIFECYCLE_HOOKS = ['pre', 'post'];
+
+// npm pack publish-set rules (see createPublishFileMatcher)
+const PUBLISH_IGNORE_FILES = ['.npmignore', '.gitignore'];
+const PUBLISH_ALWAYS_INCLUDED_PATTERN = /^(readme|license|licence)(\..*)?$/i;
+const PUBLISH_ALWAYS_EXCLUDED = [
+  '.git',
+  '.svn',
+  '.hg',
+  'CVS',
+  'node_modules',
+  '.npmignore',
+  '.gitignore',
+  '.npmrc',
+  '.DS_Store',
+  '._*',
+  '.*.swp',
+  '*.orig',
+  'npm-debug.log',
+  '/.lock-wscript',
+  '/.wafpickle-*',
+  '/build/config.gypi',
+  '/archived-packages/',
+  `/${PACKAGE_LOCK_JSON_FILENAME}`,
+  `/${YARN_LOCK_FILENAME}`,
+  `/${PNPM_LOCK_FILENAME}`,
+  `/${BUN_LOCK_FILENAME}`,
+  '/bun.lockb'
+];
+
+// Version increment types, ordered from smallest to largest
+const INCREMENT_TYPES = ['patch', 'minor', 'major'];
+// Conventional Commits header: type(scope)!: description
+const CONVENTIONAL_COMMIT_HEADER_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:[^\S\r\n]+(\S.*)$/;
+const BREAKING_CHANGE_FOOTER_PATTERN = /^BREAKING[ -]CHANGE:/m;
+// A BREAKING CHANGE footer or markdown heading (e.g. '## BREAKING CHANGES') in a PR body
+const PR_BODY_BREAKING_CHANGE_PATTERN = /^(?:#{1,6}[^\S\r\n]*)?BREAKING[ -]CHANGES?(?::|[^\S\r\n]*$)/m;
+
+// package.json fields naming a single entry point file; 'types' also covers its 'typings' alias
+const MANIFEST_ENTRY_POINT_FIELDS = ['main', 'module', 'types'];
+
+// Entry point files whose exports are compared by the API surface check
+const API_SURFACE_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+// Extensions tried, in order, when resolving an extensionless relative re-export
+const API_SURFACE_RESOLVE_SUFFIXES = ['', '.js', '.mjs', '.cjs', '/index.js'];
+// Limit on the modules followed through re-exports per ref, to bound API calls
+const MAX_API_SURFACE_MODULES = 100;
+
+// Kinds of the top-level declarations compared by the type declaration check, by syntax node type
+const DECLARATION_KINDS = {
+  TSDeclareFunction: 'function',
+  FunctionDeclaration: 'function',
+  ClassDeclaration: 'class',
+  TSInterfaceDeclaration: 'interface',
+  TSTypeAliasDeclaration: 'typeAlias',
+  TSEnumDeclaration: 'enum',
+  TSModuleDeclaration: 'namespace'
+};
+// Local name of an anonymous default export
+const DEFAULT_EXPORT_LOCAL = '*default*';
+// Declaration file candidates tried, in order, when resolving a relative import in a .d.ts file
+const DECLARATION_RESOLVE_SUFFIXES = ['', '.d.ts', '/index.d.ts'];
+const DECLARATION_FOR_JS_EXTENSION = { '.js': '.d.ts', '.mjs': '.d.mts', '.cjs': '.d.cts' };
+
+// Files whose syntax is compared by the ignore-formatting-changes check
+const FORMATTING_CHECK_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+// Extensions parsed as TypeScript by the formatting check (.tsx also enables JSX)
+const FORMATTING_CHECK_TYPESCRIPT_EXTENSIONS = ['.ts', '.mts', '.cts', '.tsx'];
+// Syntax tree properties that only record positions, comments, or raw source text
+const SYNTAX_TREE_IGNORED_KEYS = new Set([
+  'start',
+  'end',
+  'loc',
+  'range',
+  'extra',
+  'comments',
+  'leadingComments',
+  'trailingComments',
+  'innerComments'
+]);
+
+// Placeholders supported in the tag-prefix input (e.g. '{name}@{version}')
+const TAG_NAME_PLACEHOLDER = '{name}';
+const TAG_VERSION_PLACEHOLDER = '{version}';
 
 /**
  * Log a message using GitHub Actions core logging
@@ -173,15 +307,16 @@ export async function getFilesForCommit(sha, octokit, owner, repo) {
 }
 
 /**
- * Get the PR diff files using the pulls.listFiles API (base...head comparison).
- * This is the source of truth for which files have a net change in the PR.
+ * Get the PR diff entries using the pulls.listFiles API (base...head comparison), keeping the status of each file.
  * @param {object} octokit - The authenticated Octokit instance
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} prNumber - Pull request number
- * @returns {Promise<string[]>} Array of file paths with net changes in the PR
+ * @returns {Promise<Array<{filename: string, status: string, previousFilename: string|null, changes: number}>>}
+ *          Files with net changes in the PR: status is e.g. 'added', 'modified', 'removed', or 'renamed',
+ *          previousFilename is set for renames, and changes counts the changed lines
  */
-export async function getPRDiffFiles(octokit, owner, repo, prNumber) {
+export async function getPRDiffEntries(octokit, owner, repo, prNumber) {
   const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
     owner,
     repo,
@@ -189,7 +324,26 @@ export async function getPRDiffFiles(octokit, owner, repo, prNumber) {
     per_page: 100
   });
 
-  return files.map(f => f.filename);
+  return files.map(f => ({
+    filename: f.filename,
+    status: f.status,
+    previousFilename: f.previous_filename || null,
+    changes: f.changes
+  }));
+}
+
+/**
+ * Get the PR diff files using the pulls.listFiles API (base...head comparison).
+ * This is the source of truth for which files have a net change in the PR.
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - Pull request number
+ * @returns {Promise<string[]>} Array of file paths with net changes in the PR
+ */
+export async function getPRDiffFiles(octokit, owner, repo, prNumber) {
+  const entries = await getPRDiffEntries(octokit, owner, repo, prNumber);
+  return entries.map(entry => entry.filename);
 }
 
 /**
@@ -272,60 +426,294 @@ export async function applySkipKeywordFilter(prDiffFiles, skipKeyword, octokit,
 }
 
 /**
- * Check if a single file is relevant for version checking (excluding test files)
+ * Parse a list of gitignore-style path patterns from an action input.
+ * Patterns are separated by newlines or commas (commas inside `{a,b}` braces are kept); blank lines and `#` comments are ignored.
+ * @param {string} input - The raw input value
+ * @returns {string[]} The patterns
  */
-export function isRelevantFile(file) {
-  // Extract file extension once for performance
-  const fileExtension = path.extname(file);
+export function parsePathPatterns(input) {
+  return (input || '')
+    .split(/\r?\n/)
+    .flatMap(line => line.split(/,(?![^{]*\})/))
+    .map(pattern => pattern.trim())
+    .filter(pattern => pattern && !pattern.startsWith('#'));
+}
 
-  // Must have relevant extension
-  if (!RELEVANT_EXTENSIONS.includes(fileExtension)) {
-    return false;
+/**
+ * Check if a file path matches a gitignore-style pattern.
+ * Patterns without a slash match a file or directory name at any depth; patterns with a slash are
+ * relative to the root. A pattern that matches a directory matches every file under it, and a
+ * trailing slash only matches directories.
+ * @param {string} file - File path (POSIX separators)
+ * @param {string} pattern - The gitignore-style pattern (e.g., 'scripts/', 'src/**\/__fixtures__', '*.d.ts')
+ * @returns {boolean} True if the file matches the pattern
+ */
+export function matchesPathPattern(file, pattern) {
+  const directoryOnly = pattern.endsWith('/');
+  let glob = pattern.replace(/\/+$/, '');
+  if (!glob.includes('/')) {
+    glob = `**/${glob}`;
   }
+  glob = glob.replace(/^\//, '');
 
-  // Helper function to check if file matches a directory pattern
-  const matchesDirectory = dirName => {
-    // Split the file path into segments and check for exact directory name match
-    const segments = file.split('/');
-    // Check if any path segment (excluding the filename) exactly matches the directory name
-    const directorySegments = segments.slice(0, -1); // Remove filename
-    return directorySegments.includes(dirName);
-  };
+  // The file itself and each of its parent directories are candidates
+  const segments = file.split('/');
+  const candidates = segments.map((_, i) => segments.slice(0, i + 1).join('/'));
+  if (directoryOnly) {
+    candidates.pop();
+  }
+  return candidates.some(candidate => minimatch(candidate, glob, { dot: true }));
+}
+
+/**
+ * Resolve the file extensions that trigger a version check from extension presets and custom extensions.
+ * Without presets the `default` preset (.js, .ts, .jsx, .tsx) is used; custom extensions are added on top.
+ * @param {string[]} presets - Preset names (default, node-esm, vue, svelte, types-only, assets)
+ * @param {string[]} customExtensions - Additional extensions (the leading dot is optional)
+ * @returns {string[]} The relevant extensions
+ * @throws {Error} If a preset name is unknown
+ */
+export function resolveExtensions(presets = [], customExtensions = []) {
+  const extensions = new Set();
+  for (const preset of presets.length > 0 ? presets : ['default']) {
+    const presetExtensions = EXTENSION_PRESETS[preset.toLowerCase()];
+    if (!presetExtensions) {
+      throw new Error(
+        `Unknown extension preset "${preset}". Available presets: ${Object.keys(EXTENSION_PRESETS).join(', ')}`
+      );
+    }
+    for (const extension of presetExtensions) {
+      extensions.add(extension);
+    }
+  }
+  for (const extension of customExtensions) {
+    extensions.add(extension.startsWith('.') ? extension : `.${extension}`);
+  }
+  return [...extensions];
+}
+
+/**
+ * Classify a file for version checking and report the rule that decided it.
+ * `exclude-paths` patterns are checked first, then package files (which get dependency analysis instead),
+ * then `include-paths` patterns, and finally the built-in rules unless they are disabled: either the
+ * package's publish set (when a `publishFiles` matcher is given), or every file in the bundle directories of
+ * a JavaScript action (`actionBundleDirectories`, see getActionBundleDirectories) and the relevant extensions
+ * (JS/TS unless `extensions` is given, see resolveExtensions) minus test, docs, build and other non-production files.
+ * @param {string} file - File path (relative to the package directory)
+ * @param {{includePaths?: string[], excludePaths?: string[], skipDefaults?: boolean, publishFiles?: Function, extensions?: string[], actionBundleDirectories?: string[]}} rules - Configured path rules
+ * @returns {{relevant: boolean, rule: string}} Whether the file is relevant and the rule that matched
+ */
+export function classifyFile(file, rules = {}) {
+  const {
+    includePaths = [],
+    excludePaths = [],
+    skipDefaults = false,
+    publishFiles = null,
+    extensions = JS_TS_EXTENSIONS,
+    actionBundleDirectories = []
+  } = rules;
+
+  const excludePattern = excludePaths.find(pattern => matchesPathPattern(file, pattern));
+  if (excludePattern) {
+    return { relevant: false, rule: `exclude-paths: ${excludePattern}` };
+  }
+
+  // Exclude package.json and lockfiles from regular file checking
+  // They need smart dependency analysis instead of blanket inclusion
+  if (PACKAGE_FILENAMES.includes(path.basename(file))) {
+    return { relevant: false, rule: 'package file (dependency analysis)' };
+  }
 
-  // Helper function to check if file matches a file pattern
-  const matchesFilePattern = pattern => file.includes(pattern);
+  const includePattern = includePaths.find(pattern => matchesPathPattern(file, pattern));
+  if (includePattern) {
+    return { relevant: true, rule: `include-paths: ${includePattern}` };
+  }
 
-  // Helper function to check if filename starts with a pattern
-  const filenameStartsWith = pattern => {
-    const fileName = path.basename(file);
-    return fileName.startsWith(pattern);
-  };
+  if (skipDefaults) {
+    return { relevant: false, rule: 'not matched by include-paths (skip-default-paths)' };
+  }
 
-  // Check if file should be excluded
-  const isTestOrNonProdFile =
-    EXCLUDED_DIRECTORIES.some(matchesDirectory) ||
-    EXCLUDED_FILE_PATTERNS.some(matchesFilePattern) ||
-    EXCLUDED_FILE_START_PATTERNS.some(filenameStartsWith);
+  // In publish-files-only mode, a file is relevant exactly when npm pack would publish it
+  if (publishFiles) {
+    const { included, rule } = publishFiles(file);
+    return { relevant: included, rule: `publish: ${rule}` };
+  }
+
+  // A JavaScript action runs its bundle (e.g., dist/index.js built by ncc), so the bundle is what gets released
+  const bundleDirectory = actionBundleDirectories.find(dir => file.startsWith(`${dir}/`));
+  if (bundleDirectory) {
+    return { relevant: true, rule: `action bundle: ${bundleDirectory}/` };
+  }
+
+  // Must have relevant extension (the longest match wins, so '.d.ts' is reported over '.ts')
+  const matchedExtension = extensions
+    .filter(extension => file.endsWith(extension))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!matchedExtension) {
+    return { relevant: false, rule: `default: extension ${path.extname(file) || '(none)'} is not checked` };
+  }
+
+  // Check if any path segment (excluding the filename) exactly matches an excluded directory name
+  const directorySegments = file.split('/').slice(0, -1);
+  const excludedDirectory = EXCLUDED_DIRECTORIES.find(dirName => directorySegments.includes(dirName));
+  if (excludedDirectory) {
+    return { relevant: false, rule: `default: excluded directory ${excludedDirectory}/` };
+  }
 
   // Exclude test files and other non-production files
-  if (isTestOrNonProdFile) {
-    return false;
+  const excludedFilePattern = EXCLUDED_FILE_PATTERNS.find(pattern => file.includes(pattern));
+  if (excludedFilePattern) {
+    return { relevant: false, rule: `default: excluded file pattern ${excludedFilePattern}` };
+  }
+  const fileName = path.basename(file);
+  const excludedFileStart = EXCLUDED_FILE_START_PATTERNS.find(pattern => fileName.startsWith(pattern));
+  if (excludedFileStart) {
+    return { relevant: false, rule: `default: excluded file name prefix ${excludedFileStart}` };
   }
 
-  // Helper function to check if file is a package file
-  const isPackageFile = filePath => {
-    const fileName = path.basename(filePath);
-    return PACKAGE_FILENAMES.includes(fileName);
-  };
+  return { relevant: true, rule: `default: ${matchedExtension} file` };
+}
 
-  // Exclude both package.json and package-lock.json from regular file checking
-  // They need smart dependency analysis instead of blanket inclusion
-  if (isPackageFile(file)) {
-    return false;
+/**
+ * Check if a single file is relevant for version checking (excluding test files)
+ * @param {string} file - File path (relative to the package directory)
+ * @param {Object} rules - Configured path rules (see classifyFile)
+ * @returns {boolean} True if the file should trigger a version check
+ */
+export function isRelevantFile(file, rules = {}) {
+  return classifyFile(file, rules).relevant;
+}
+
+/**
+ * Log which path rule decided each file (debug output).
+ * @param {string[]} files - File paths (relative to the package directory)
+ * @param {Object} rules - Configured path rules (see classifyFile)
+ */
+export function logFileClassifications(files, rules = {}) {
+  for (const file of files) {
+    const { relevant, rule } = classifyFile(file, rules);
+    logMessage(`Debug: ${file}: ${relevant ? 'relevant' : 'not relevant'} (${rule})`, 'debug');
+  }
+}
+
+/**
+ * Check if a file path matches an entry of the package.json `files` field.
+ * Entries are globs relative to the package root; an entry that matches a directory includes everything under it.
+ * @param {string} file - File path relative to the package directory
+ * @param {string} entry - The `files` entry (e.g., 'lib/', 'dist/**\/*.js', 'index.js')
+ * @returns {boolean} True if the entry covers the file
+ */
+function matchesFilesEntry(file, entry) {
+  const glob = entry.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+  if (!glob) return false;
+  const segments = file.split('/');
+  return segments.some((_, i) => minimatch(segments.slice(0, i + 1).join('/'), glob, { dot: true }));
+}
+
+/**
+ * Find the `files` field entry that decides whether a file is published: the last entry that matches it.
+ * @param {string[]} filesField - The `files` entries, where a leading '!' excludes
+ * @param {string} file - File path relative to the package directory
+ * @returns {string|undefined} The deciding entry (starting with '!' if it excludes the file), or undefined if none matches
+ */
+function findFilesEntry(filesField, file) {
+  return [...filesField].reverse().find(pattern => matchesFilesEntry(file, pattern.replace(/^!/, '')));
+}
+
+/**
+ * Create a matcher for the files `npm pack` would publish from a package directory.
+ * Follows npm's rules: files that are always included (package.json, README, LICENSE/LICENCE, `main` and `bin`),
+ * files that are always excluded (VCS directories, node_modules, lockfiles other than npm-shrinkwrap.json, ...),
+ * the `files` field when present, and otherwise `.npmignore` (or `.gitignore` when there is no `.npmignore`).
+ * Ignore files in subdirectories apply to their own directory, also when the `files` field is used.
+ * The package.json and ignore files are read from the local checkout.
+ *
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @returns {(file: string) => {included: boolean, rule: string}} Matcher for paths relative to the package directory
+ * @throws {Error} If the package.json cannot be read or parsed
+ */
+export function createPublishFileMatcher(packageDir) {
+  const manifestPath = path.join(packageDir, PACKAGE_JSON_FILENAME);
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${manifestPath} to determine the published files: ${error.message}`);
   }
 
-  // At this point, include only JavaScript/TypeScript files (package files were already handled above)
-  return JS_TS_EXTENSIONS.includes(fileExtension);
+  const normalizeEntry = entry => (typeof entry === 'string' ? entry.replace(/^\.?\/+/, '') : null);
+  const bins = typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin || {});
+  const entryFiles = [manifest.main, ...bins].map(normalizeEntry).filter(Boolean);
+  const filesField = Array.isArray(manifest.files) ? manifest.files.filter(entry => typeof entry === 'string') : null;
+
+  // Ignore rules per directory, from .npmignore or (when there is none) .gitignore
+  const ignoreRules = new Map();
+  const getIgnoreRules = dir => {
+    if (!ignoreRules.has(dir)) {
+      let rules = null;
+      for (const ignoreFile of PUBLISH_IGNORE_FILES) {
+        const ignorePath = path.join(packageDir, dir, ignoreFile);
+        if (fs.existsSync(ignorePath)) {
+          const patterns = fs
+            .readFileSync(ignorePath, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+          rules = { source: path.posix.join(dir, ignoreFile), patterns };
+          break;
+        }
+      }
+      ignoreRules.set(dir, rules);
+    }
+    return ignoreRules.get(dir);
+  };
+
+  return file => {
+    const segments = file.split('/');
+    const fileName = segments[segments.length - 1];
+    const isRootFile = segments.length === 1;
+
+    if (
+      (isRootFile && PUBLISH_ALWAYS_INCLUDED_PATTERN.test(fileName)) ||
+      file === PACKAGE_JSON_FILENAME ||
+      entryFiles.includes(file)
+    ) {
+      return { included: true, rule: 'always included' };
+    }
+
+    const alwaysExcluded = PUBLISH_ALWAYS_EXCLUDED.find(pattern => matchesPathPattern(file, pattern));
+    if (alwaysExcluded) {
+      return { included: false, rule: `always excluded (${alwaysExcluded})` };
+    }
+
+    let included = true;
+    let rule = 'not ignored';
+    if (filesField) {
+      const entry = findFilesEntry(filesField, file);
+      if (!entry || entry.startsWith('!')) {
+        return { included: false, rule: entry ? `files field: ${entry}` : 'not in files field' };
+      }
+      rule = `files field: ${entry}`;
+    }
+
+    // Apply ignore files from the package root down to the file's directory; the last matching pattern wins.
+    // With a files field, only ignore files in subdirectories apply.
+    for (let depth = filesField ? 1 : 0; depth < segments.length; depth++) {
+      const dir = segments.slice(0, depth).join('/');
+      const rules = getIgnoreRules(dir);
+      if (!rules) continue;
+      const relativeFile = segments.slice(depth).join('/');
+      for (const pattern of rules.patterns) {
+        const negated = pattern.startsWith('!');
+        if (matchesPathPattern(relativeFile, negated ? pattern.slice(1) : pattern)) {
+          included = negated;
+          rule = `${rules.source}: ${pattern}`;
+        }
+      }
+    }
+
+    return { included, rule };
+  };
 }
 
 /**
@@ -536,14 +924,16 @@ function extractPackageName(lockfileKey) {
 }
 
 /**
- * Walk the dependency tree in a lockfile's packages section to find all transitive
+ * Walk the dependency tree in a normalized lockfile to find all transitive
  * dependencies reachable from a set of starting packages.
- * Uses npm's node_modules resolution algorithm to handle nested and hoisted packages.
- * @param {Object} lockPackages - The packages section of a package-lock.json
+ * Dependency names are resolved to lockfile keys with the lockfile's own resolver, which
+ * for package-lock.json follows npm's node_modules resolution algorithm (nested and hoisted packages).
+ * @param {Object} lockfile - Normalized lockfile (see createNpmLockfile)
  * @param {string[]} startKeys - Array of package keys to start walking from (e.g., ['node_modules/jest'])
  * @returns {Set<string>} Set of all reachable package keys including the start keys
  */
-function getTransitiveDeps(lockPackages, startKeys) {
+function getTransitiveDeps(lockfile, startKeys) {
+  const lockPackages = lockfile.packages || {};
   const visited = new Set();
   const queue = [...startKeys];
   let i = 0;
@@ -560,7 +950,7 @@ function getTransitiveDeps(lockPackages, startKeys) {
     // npm v7+ auto-installs peerDependencies, so they can be reshuffled by devDep updates.
     const deps = { ...(pkg.dependencies || {}), ...(pkg.optionalDependencies || {}), ...(pkg.peerDependencies || {}) };
     for (const depName of Object.keys(deps)) {
-      const resolvedKey = resolveDepKey(lockPackages, key, depName);
+      const resolvedKey = lockfile.resolveDepKey(key, depName);
       if (resolvedKey && !visited.has(resolvedKey)) {
         queue.push(resolvedKey);
       }
@@ -571,276 +961,908 @@ function getTransitiveDeps(lockPackages, startKeys) {
 }
 
 /**
- * Check if package files have actual dependency changes (not just metadata changes)
- * This covers both package.json and package-lock.json files
- * @param {string[]|null} changedFiles - Optional list of changed files to filter which package files to check.
- *                                        If provided, only checks package files present in this list.
- *                                        If null/undefined, checks all package files that differ between base and head.
- * @param {object} octokit - The authenticated Octokit instance
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<{hasChanges: boolean, onlyDevDependencies: boolean}>} Object indicating if there are changes and if they're dev-only
+ * Wrap a parsed package-lock.json in the normalized lockfile shape used by the dependency analysis.
+ * A normalized lockfile exposes a `packages` map (with npm-style `dev` flags) plus helpers to
+ * resolve dependency names to keys, so every lockfile format can share the same change classification.
+ * `importer(importerPath, manifest)` describes the dependency roots of a workspace package in a
+ * root lockfile (or returns null if the lockfile doesn't contain it), see scopeLockfileToImporter.
+ * @param {Object} lock - Parsed package-lock.json content
+ * @returns {{packages: Object|undefined, dependencies: Object|undefined, resolveDepKey: Function, rootKey: Function, packageName: Function, importer: Function}}
  */
-export async function hasPackageDependencyChanges(changedFiles = null, octokit = null, owner = null, repo = null) {
-  try {
-    const context = github.context;
-    if (context.eventName !== 'pull_request') {
-      return { hasChanges: false, onlyDevDependencies: false };
+function createNpmLockfile(lock) {
+  const lockPackages = lock.packages;
+  return {
+    packages: lockPackages,
+    dependencies: lock.dependencies,
+    resolveDepKey: (parentKey, depName) => resolveDepKey(lockPackages || {}, parentKey, depName),
+    rootKey: depName => `node_modules/${depName}`,
+    packageName: extractPackageName,
+    // npm records each workspace package (with its dependency sections) under its path
+    importer: importerPath => {
+      const entry = lockPackages?.[importerPath];
+      if (!entry) return null;
+      return {
+        rootKey: depName => resolveDepKey(lockPackages, importerPath, depName),
+        productionNames: getProductionDependencyNames(entry),
+        devNames: Object.keys(entry.devDependencies || {})
+      };
     }
+  };
+}
 
-    const baseRef = context.payload.pull_request?.base?.sha;
-    const headRef = context.payload.pull_request?.head?.sha || context.sha;
-
-    if (!baseRef || !headRef) {
-      return { hasChanges: false, onlyDevDependencies: false };
+/**
+ * Build a normalized lockfile from a flat map of locked packages (formats without npm's `dev` flags).
+ * Packages that cannot be reached from the root's production dependencies are marked `dev: true`,
+ * mirroring how npm flags devDependency-only packages in package-lock.json.
+ * @param {Object} options
+ * @param {Object} options.packages - Map of lockfile key to {version, resolved, integrity, dependencies, ...}
+ * @param {Function} options.resolveDepKey - (parentKey, depName) => lockfile key or null
+ * @param {Function} options.rootKey - (depName) => lockfile key of a root dependency or null
+ * @param {Function} options.packageName - (lockfileKey) => package name or null
+ * @param {string[]|null} options.productionRootNames - Names of the root's production dependencies, or null if unknown
+ * @param {Function} options.importer - (importerPath, manifest) => workspace package dependency roots or null
+ * @returns {Object} Normalized lockfile
+ */
+function createLockfileGraph({
+  packages,
+  resolveDepKey: resolveKey,
+  rootKey,
+  packageName,
+  productionRootNames,
+  importer
+}) {
+  const lockfile = { packages, resolveDepKey: resolveKey, rootKey, packageName, importer };
+
+  // Without the root manifest we can't tell dev from production, so leave everything as production
+  if (productionRootNames) {
+    const productionKeys = getTransitiveDeps(lockfile, productionRootNames.map(rootKey).filter(Boolean));
+    for (const [key, pkg] of Object.entries(packages)) {
+      if (!productionKeys.has(key)) {
+        pkg.dev = true;
+      }
     }
+  }
 
-    if (!octokit || !owner || !repo) {
-      logMessage('⚠️ Missing API client for package dependency check, assuming changes exist', 'warning');
-      return { hasChanges: true, onlyDevDependencies: false };
-    }
+  return lockfile;
+}
 
-    // Determine which package files to check based on changedFiles filter
-    const shouldCheckPackageJson =
-      changedFiles === null || changedFiles.some(f => path.basename(f) === PACKAGE_JSON_FILENAME);
-    const shouldCheckPackageLock =
-      changedFiles === null || changedFiles.some(f => path.basename(f) === PACKAGE_LOCK_JSON_FILENAME);
+/**
+ * Get the names of a manifest's production dependencies (dependencies, optionalDependencies, peerDependencies).
+ * @param {Object|null} manifest - Parsed package.json content
+ * @returns {string[]|null} Dependency names, or null when the manifest is unavailable
+ */
+function getProductionDependencyNames(manifest) {
+  if (!manifest) return null;
+  return PRODUCTION_DEPENDENCY_SECTIONS.flatMap(section => Object.keys(manifest[section] || {}));
+}
 
-    if (!shouldCheckPackageJson && !shouldCheckPackageLock) {
-      logMessage('Debug: No package files in changed files list, skipping package dependency check', 'debug');
-      return { hasChanges: false, onlyDevDependencies: false };
-    }
+/**
+ * Reduce a root (workspace) lockfile to the packages a single workspace package depends on.
+ * Only packages reachable from the workspace package's own dependencies are kept, and `dev` flags
+ * are recomputed from its production dependencies, so changes that only affect other workspace
+ * packages are ignored.
+ * @param {Object} lockfile - Normalized lockfile of the workspace root
+ * @param {string} importerPath - Path of the workspace package relative to the workspace root (e.g., 'packages/core')
+ * @param {Object|null} manifest - Parsed package.json of the workspace package at the same ref
+ * @returns {Object|null} Normalized lockfile scoped to the workspace package, or null if the lockfile doesn't contain it
+ */
+function scopeLockfileToImporter(lockfile, importerPath, manifest) {
+  const importer = lockfile.importer?.(importerPath, manifest);
+  if (!importer) return null;
 
-    // Get configuration for dev dependencies
-    const includeDevDependencies = core.getBooleanInput('include-dev-dependencies');
-    logMessage(`Debug: include-dev-dependencies setting: ${includeDevDependencies}`, 'debug');
+  const rootKeys = names => names.map(importer.rootKey).filter(Boolean);
+  const productionKeys = getTransitiveDeps(lockfile, rootKeys(importer.productionNames));
+  const reachableKeys = getTransitiveDeps(lockfile, rootKeys([...importer.productionNames, ...importer.devNames]));
 
-    let hasProductionChanges = false;
-    let hasAnyDevChanges = false;
-    const changedDevDepNames = new Set();
+  const packages = {};
+  for (const key of reachableKeys) {
+    const pkg = lockfile.packages?.[key];
+    if (!pkg) continue;
+    packages[key] = { ...pkg };
+    if (productionKeys.has(key)) {
+      delete packages[key].dev;
+    } else {
+      packages[key].dev = true;
+    }
+  }
 
-    // Check package.json for dependency changes using proper JSON parsing
-    if (shouldCheckPackageJson) {
-      const basePackageJsonRaw = await getFileAtRef(PACKAGE_JSON_FILENAME, baseRef, octokit, owner, repo);
-      const headPackageJsonRaw = await getFileAtRef(PACKAGE_JSON_FILENAME, headRef, octokit, owner, repo);
+  return { ...lockfile, packages, dependencies: undefined, rootKey: importer.rootKey };
+}
 
-      if (basePackageJsonRaw && headPackageJsonRaw) {
-        try {
-          const basePackageJson = JSON.parse(basePackageJsonRaw);
-          const headPackageJson = JSON.parse(headPackageJsonRaw);
+/**
+ * Extract the package name from a Yarn descriptor or locator.
+ * For 'lodash@^4.17.21' returns 'lodash'; for '@babel/core@npm:7.24.0' returns '@babel/core';
+ * for the alias 'string-width-cjs@npm:string-width@^4.2.0' returns 'string-width-cjs'.
+ * @param {string} descriptor - The Yarn descriptor (name@range) or locator (name@reference)
+ * @returns {string} The package name
+ */
+function getYarnDescriptorName(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  return at === -1 ? descriptor : descriptor.substring(0, at);
+}
 
-          // Check production dependency sections
-          const productionSections = [
-            'dependencies',
-            'peerDependencies',
-            'optionalDependencies',
-            'bundleDependencies',
-            'bundledDependencies'
-          ];
+/**
+ * Remove the surrounding double quotes from a Yarn classic lockfile token.
+ * @param {string} value - The raw token
+ * @returns {string} The unquoted token
+ */
+function unquoteYarnToken(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return JSON.parse(value);
+  }
+  return value;
+}
 
-          // Check if any production dependencies changed
-          for (const section of productionSections) {
-            if (!deepEqual(basePackageJson[section], headPackageJson[section])) {
-              logMessage(`Debug: package.json production dependency change detected in section: ${section}`, 'debug');
-              hasProductionChanges = true;
-              break;
-            }
-          }
+/**
+ * Parse a Yarn classic (v1) lockfile into an object keyed by each entry's descriptor list,
+ * the same shape a Yarn Berry lockfile has once parsed as YAML.
+ * @param {string} content - Raw yarn.lock content
+ * @returns {Object} Map of descriptor list (e.g., 'lodash@^4.17.0, lodash@^4.17.21') to entry fields
+ */
+function parseYarnClassicEntries(content) {
+  const entries = {};
+  let entry = null;
+  let section = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) continue;
+
+    const indent = line.length - line.trimStart().length;
+
+    // Top-level line: start of a new entry, e.g. `"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.10.4":`
+    if (indent === 0) {
+      const descriptors = text
+        .replace(/:$/, '')
+        .split(',')
+        .map(d => unquoteYarnToken(d.trim()));
+      entry = {};
+      section = null;
+      entries[descriptors.join(', ')] = entry;
+      continue;
+    }
 
-          // Check if devDependencies changed
-          if (!deepEqual(basePackageJson.devDependencies, headPackageJson.devDependencies)) {
-            hasAnyDevChanges = true;
-            if (includeDevDependencies) {
-              logMessage(
-                'Debug: package.json devDependencies change detected (include-dev-dependencies is true)',
-                'debug'
-              );
-              hasProductionChanges = true;
-            } else {
-              logMessage('Debug: Only devDependencies changed in package.json', 'debug');
-            }
+    if (!entry) continue;
 
-            // Collect names of changed dev dependencies for lockfile tree walking analysis
-            const baseDevDeps = basePackageJson.devDependencies || {};
-            const headDevDeps = headPackageJson.devDependencies || {};
-            const allDevNames = new Set([...Object.keys(baseDevDeps), ...Object.keys(headDevDeps)]);
-            for (const name of allDevNames) {
-              if (baseDevDeps[name] !== headDevDeps[name]) {
-                changedDevDepNames.add(name);
-              }
-            }
-          }
-        } catch (error) {
-          // If JSON parsing fails, conservatively assume a change
-          logMessage(`Warning: Could not parse package.json for comparison: ${error.message}`, 'warning');
-          return { hasChanges: true, onlyDevDependencies: false };
-        }
-      } else if (basePackageJsonRaw !== headPackageJsonRaw) {
-        // One exists and the other doesn't
-        return { hasChanges: true, onlyDevDependencies: false };
-      }
+    // Nested section header, e.g. `dependencies:`
+    if (indent <= 2 && text.endsWith(':')) {
+      section = {};
+      entry[unquoteYarnToken(text.slice(0, -1))] = section;
+      continue;
     }
 
-    // After package.json analysis: if package.json was checked, showed zero production
-    // dependency section changes, AND confirmed devDependency changes, record that fact.
-    // This is used to gate the lockfile analysis below, because npm can reshuffle the
-    // lockfile tree (hoisting, deduplication) as a side-effect of any dependency change,
-    // and those reshuffled packages may lack "dev": true.
-    const packageJsonHasOnlyDevChanges = shouldCheckPackageJson && !hasProductionChanges && hasAnyDevChanges;
-
-    // Check package-lock.json for actual dependency changes
-    if (shouldCheckPackageLock) {
-      const basePackageLockRaw = await getFileAtRef(PACKAGE_LOCK_JSON_FILENAME, baseRef, octokit, owner, repo);
-      const headPackageLockRaw = await getFileAtRef(PACKAGE_LOCK_JSON_FILENAME, headRef, octokit, owner, repo);
+    const match = text.match(/^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/);
+    if (!match) continue;
 
-      if (basePackageLockRaw && headPackageLockRaw) {
-        try {
-          const baseLock = JSON.parse(basePackageLockRaw);
-          const headLock = JSON.parse(headPackageLockRaw);
+    const key = unquoteYarnToken(match[1]);
+    const value = unquoteYarnToken(match[2]);
+    if (indent > 2 && section) {
+      section[key] = value;
+    } else {
+      section = null;
+      entry[key] = value;
+    }
+  }
 
-          // Check for changes in dependencies object (npm v6 and earlier)
-          const dependenciesChanged = !deepEqual(baseLock.dependencies, headLock.dependencies);
+  return entries;
+}
 
-          // Check for changes in packages object (npm v7+)
-          const packagesChanged = !deepEqual(baseLock.packages, headLock.packages);
+/**
+ * Parse a yarn.lock file (Yarn classic v1 or Yarn Berry v2+) into a normalized lockfile.
+ * Yarn lockfiles don't record which packages are dev-only, so the root manifest is used to
+ * find the production dependency roots, and everything unreachable from them is marked dev.
+ * @param {string} content - Raw yarn.lock content
+ * @param {Object|null} manifest - Parsed package.json content at the same ref
+ * @returns {Object} Normalized lockfile keyed by locator (e.g., 'lodash@4.17.21' or 'lodash@npm:4.17.21')
+ */
+export function parseYarnLockfile(content, manifest = null) {
+  const isBerry = YARN_BERRY_METADATA_PATTERN.test(content);
+  // The failsafe schema keeps every scalar a string, so versions like 1.10 aren't read as numbers
+  const entries = isBerry ? YAML.parse(content, { schema: 'failsafe' }) : parseYarnClassicEntries(content);
+
+  const packages = {};
+  const descriptors = {};
+
+  for (const [entryKey, entry] of Object.entries(entries || {})) {
+    if (entryKey === YARN_BERRY_METADATA_KEY || !entry || typeof entry !== 'object') continue;
+
+    const descriptorList = entryKey
+      .split(',')
+      .map(d => d.trim())
+      .filter(Boolean);
+    // Berry records the locked identity in `resolution`; classic entries only have name + version
+    const key = entry.resolution || `${getYarnDescriptorName(descriptorList[0])}@${entry.version}`;
+    for (const descriptor of descriptorList) {
+      descriptors[descriptor] = key;
+    }
 
-          if (dependenciesChanged || packagesChanged) {
-            logMessage('Debug: package-lock.json has changes', 'debug');
+    // Workspace entries are the local projects themselves; their dependency changes show up in package.json
+    if (key.includes('@workspace:')) continue;
 
-            // Determine which packages changed (excluding metadata-only changes)
-            let changedKeys = new Set();
+    packages[key] = {
+      version: entry.version,
+      resolved: entry.resolved,
+      integrity: entry.integrity || entry.checksum,
+      dependencies: entry.dependencies,
+      optionalDependencies: entry.optionalDependencies,
+      peerDependencies: entry.peerDependencies
+    };
+  }
 
-            if (packagesChanged) {
-              changedKeys = getChangedPackageKeys(baseLock.packages, headLock.packages);
-            } else if (dependenciesChanged) {
-              changedKeys = getChangedPackageKeys(baseLock.dependencies, headLock.dependencies);
-            }
+  // Berry omits the default npm: protocol from dependency ranges but keeps it in descriptors
+  const lookupDescriptor = (depName, range) => {
+    if (typeof range !== 'string') return null;
+    return descriptors[`${depName}@${range}`] || descriptors[`${depName}@npm:${range}`] || null;
+  };
 
-            // If no actual changes after filtering out metadata-only changes, skip
-            if (changedKeys.size === 0) {
-              logMessage('Debug: package-lock.json changes were metadata-only, skipping', 'debug');
-            } else {
-              // Check if all changes are dev dependencies only
-              const allChangesAreDevOnly = areAllChangesDevDependencies(baseLock, headLock, changedKeys);
-
-              if (allChangesAreDevOnly) {
-                hasAnyDevChanges = true;
-                if (includeDevDependencies) {
-                  logMessage(
-                    'Debug: package-lock.json devDependencies change detected (include-dev-dependencies is true)',
-                    'debug'
-                  );
-                  hasProductionChanges = true;
-                } else {
-                  logMessage('Debug: Only devDependencies changed in package-lock.json', 'debug');
-                }
-              } else if (packageJsonHasOnlyDevChanges) {
-                // package.json shows only devDependency changes. Walk the dependency tree
-                // from changed devDeps to determine if non-dev lockfile changes are just
-                // reshuffling (transitive deps of the changed devDeps) or genuine production
-                // changes (e.g., intentional transitive bumps for security fixes).
-                const headPkgs = headLock.packages || {};
-                const basePkgs = baseLock.packages || {};
-
-                if (Object.keys(headPkgs).length > 0 || Object.keys(basePkgs).length > 0) {
-                  const startKeys = [...changedDevDepNames].map(n => `node_modules/${n}`);
-                  const headTransitives = getTransitiveDeps(headPkgs, startKeys);
-                  const baseTransitives = getTransitiveDeps(basePkgs, startKeys);
-                  const devTransitives = new Set([...headTransitives, ...baseTransitives]);
-
-                  // Build a set of package names that have a *confirmed* dev-attributable
-                  // changed entry (either reachable via tree walk or marked dev: true).
-                  // Used for fallback reshuffling detection: npm may nest the same package
-                  // at a different path than the tree walk finds, but we only allow the
-                  // name-based fallback if there's corroborating evidence that the dev
-                  // update actually affected this package name.
-                  const confirmedDevChangedNames = new Set();
-                  for (const cKey of changedKeys) {
-                    const cHeadPkg = headPkgs[cKey];
-                    const cBasePkg = basePkgs[cKey];
-                    const isDev = (cHeadPkg && cHeadPkg.dev) || (!cHeadPkg && cBasePkg && cBasePkg.dev);
-                    if (isDev || devTransitives.has(cKey)) {
-                      const name = extractPackageName(cKey);
-                      if (name) confirmedDevChangedNames.add(name);
-                    }
-                  }
-
-                  let hasNonAttributableChange = false;
-                  for (const key of changedKeys) {
-                    const headPkg = headPkgs[key];
-                    const basePkg = basePkgs[key];
-                    // Skip packages already known to be dev-only
-                    if ((headPkg && headPkg.dev) || (!headPkg && basePkg && basePkg.dev)) continue;
-
-                    if (!devTransitives.has(key)) {
-                      // Fallback: check if the package name (regardless of nesting path)
-                      // also changed at another path that IS confirmed as a dev change.
-                      // This handles npm reshuffling where a package is moved to a different
-                      // node_modules nesting level, but only when there's corroborating
-                      // evidence (another changed instance of the same package that is
-                      // reachable from dev deps or marked dev: true).
-                      const pkgName = extractPackageName(key);
-                      if (pkgName && confirmedDevChangedNames.has(pkgName)) {
-                        logMessage(
-                          `Debug: lockfile change at ${key} attributed to devDependency reshuffling (package name ${pkgName} also changed at a confirmed dev path)`,
-                          'debug'
-                        );
-                        continue;
-                      }
-
-                      logMessage(`Debug: lockfile change not attributable to devDependency update: ${key}`, 'debug');
-                      hasNonAttributableChange = true;
-                      break;
-                    }
-                  }
-
-                  if (hasNonAttributableChange) {
-                    logMessage(
-                      'Debug: package-lock.json has production changes alongside devDependency reshuffling',
-                      'debug'
-                    );
-                    hasProductionChanges = true;
-                  } else {
-                    logMessage(
-                      'Debug: all non-dev lockfile changes are transitives of changed devDependencies - treating as reshuffling',
-                      'debug'
-                    );
-                    hasAnyDevChanges = true;
-                  }
-                } else {
-                  // No packages section available (old lockfile format) - can't walk tree, be conservative
-                  logMessage(
-                    'Debug: package-lock.json has non-dev changes but no packages section for tree analysis - treating as production',
-                    'debug'
-                  );
-                  hasProductionChanges = true;
-                }
-              } else {
-                logMessage('Debug: package-lock.json has production dependency changes', 'debug');
-                hasProductionChanges = true;
-              }
-            }
-          }
-        } catch (error) {
-          // If JSON parsing fails, conservatively assume a change
-          logMessage(`Warning: Could not parse package-lock.json for comparison: ${error.message}`, 'warning');
-          return { hasChanges: true, onlyDevDependencies: false };
+  const getRanges = pkg =>
+    pkg
+      ? {
+          ...pkg.devDependencies,
+          ...pkg.peerDependencies,
+          ...pkg.optionalDependencies,
+          ...pkg.dependencies
         }
-      } else if (basePackageLockRaw !== headPackageLockRaw) {
-        // One exists and the other doesn't
-        return { hasChanges: true, onlyDevDependencies: false };
-      }
+      : {};
+  const rootRanges = getRanges(manifest);
+
+  return createLockfileGraph({
+    packages,
+    resolveDepKey: (parentKey, depName) => {
+      const parent = packages[parentKey];
+      if (!parent) return null;
+      const range =
+        parent.dependencies?.[depName] ?? parent.optionalDependencies?.[depName] ?? parent.peerDependencies?.[depName];
+      return lookupDescriptor(depName, range);
+    },
+    rootKey: depName => lookupDescriptor(depName, rootRanges[depName]),
+    packageName: getYarnDescriptorName,
+    productionRootNames: getProductionDependencyNames(manifest),
+    // yarn.lock has no per-workspace sections, so a workspace package's roots come from its own manifest
+    importer: (importerPath, importerManifest) => {
+      if (!importerManifest) return null;
+      const ranges = getRanges(importerManifest);
+      return {
+        rootKey: depName => lookupDescriptor(depName, ranges[depName]),
+        productionNames: getProductionDependencyNames(importerManifest),
+        devNames: Object.keys(importerManifest.devDependencies || {})
+      };
     }
+  });
+}
 
-    // Return result based on what we found
-    if (hasProductionChanges) {
-      return { hasChanges: true, onlyDevDependencies: false };
-    } else if (hasAnyDevChanges) {
-      return { hasChanges: false, onlyDevDependencies: true };
-    } else {
-      return { hasChanges: false, onlyDevDependencies: false };
-    }
-  } catch (error) {
+/**
+ * Strip the peer dependency suffix pnpm appends to package ids.
+ * For 'react-dom@18.2.0(react@18.2.0)' returns 'react-dom@18.2.0'.
+ * @param {string} packageId - The pnpm package id or version reference
+ * @returns {string} The id without peer suffixes
+ */
+function stripPnpmPeerSuffix(packageId) {
+  const parenIndex = packageId.indexOf('(');
+  return parenIndex === -1 ? packageId : packageId.substring(0, parenIndex);
+}
+
+/**
+ * Extract the package name from a pnpm lockfile key.
+ * For '/@types/node@20.1.0' (v6) or '@types/node@20.1.0' (v9) returns '@types/node'.
+ * @param {string} lockfileKey - The pnpm package key
+ * @returns {string|null} The package name, or null if the key has no version part
+ */
+function extractPnpmPackageName(lockfileKey) {
+  const id = stripPnpmPeerSuffix(lockfileKey).replace(/^\//, '');
+  const at = id.lastIndexOf('@');
+  return at > 0 ? id.substring(0, at) : null;
+}
+
+/**
+ * Parse a pnpm-lock.yaml file (lockfile v6 or v9) into a normalized lockfile.
+ * Dependency sections of the root importer (`importers['.']`, or the top level for v6
+ * single-package lockfiles) identify the production roots; packages only reachable
+ * from `devDependencies` are marked dev.
+ * @param {string} content - Raw pnpm-lock.yaml content
+ * @returns {Object} Normalized lockfile keyed by pnpm package id (e.g., '/lodash@4.17.21' or 'lodash@4.17.21')
+ */
+export function parsePnpmLockfile(content) {
+  // The failsafe schema keeps every scalar a string, so versions like 1.10 aren't read as numbers
+  const lock = YAML.parse(content, { schema: 'failsafe' }) || {};
+  // v9 drops the leading slash from package ids and splits resolution info from the dependency graph
+  const isV9 = String(lock.lockfileVersion || '').startsWith('9');
+  const lockPackages = lock.packages || {};
+  const snapshots = lock.snapshots || {};
+
+  // pnpm records resolved versions (not ranges) for each dependency, so a parent entry would change
+  // whenever a child is re-resolved. Keep only the dependency names on the entry (the child's own key
+  // captures its version change) and resolve edges through the original references.
+  const packages = {};
+  const references = {};
+  const toNameMap = deps => (deps ? Object.fromEntries(Object.keys(deps).map(name => [name, true])) : undefined);
+  const graphKeys = isV9 && lock.snapshots ? Object.keys(snapshots) : Object.keys(lockPackages);
+  for (const key of graphKeys) {
+    const graphEntry = (isV9 ? snapshots[key] : lockPackages[key]) || {};
+    const packageId = stripPnpmPeerSuffix(key);
+    const info = (isV9 ? lockPackages[packageId] : lockPackages[key]) || {};
+    references[key] = { ...graphEntry.optionalDependencies, ...graphEntry.dependencies };
+    packages[key] = {
+      version: info.version || packageId.substring(packageId.lastIndexOf('@') + 1),
+      resolved: info.resolution?.tarball,
+      integrity: info.resolution?.integrity,
+      dependencies: toNameMap(graphEntry.dependencies),
+      optionalDependencies: toNameMap(graphEntry.optionalDependencies)
+    };
+  }
+
+  // Resolve a dependency reference (a version, or a full package id for aliases) to its package key
+  const referenceToKey = (depName, reference) => {
+    // Importers record the reference in `version`; v6 packages and v9 snapshots use plain strings
+    const ref = typeof reference === 'object' && reference !== null ? reference.version : reference;
+    if (typeof ref !== 'string' || /^(link|file|workspace):/.test(ref)) return null;
+
+    const isPackageId = ref.startsWith('/') || stripPnpmPeerSuffix(ref).lastIndexOf('@') > 0;
+    if (isPackageId) {
+      return isV9 ? ref.replace(/^\//, '') : ref;
+    }
+    return isV9 ? `${depName}@${ref}` : `/${depName}@${ref}`;
+  };
+
+  const getImporterReferences = importerEntry => ({
+    ...importerEntry.devDependencies,
+    ...importerEntry.optionalDependencies,
+    ...importerEntry.dependencies
+  });
+  const getImporterProductionNames = importerEntry => [
+    ...Object.keys(importerEntry.dependencies || {}),
+    ...Object.keys(importerEntry.optionalDependencies || {})
+  ];
+
+  const rootImporter = lock.importers?.['.'] || lock;
+  const rootReferences = getImporterReferences(rootImporter);
+
+  return createLockfileGraph({
+    packages,
+    resolveDepKey: (parentKey, depName) => referenceToKey(depName, references[parentKey]?.[depName]),
+    rootKey: depName => referenceToKey(depName, rootReferences[depName]),
+    packageName: extractPnpmPackageName,
+    productionRootNames: getImporterProductionNames(rootImporter),
+    importer: importerPath => {
+      const importerEntry = lock.importers?.[importerPath];
+      if (!importerEntry) return null;
+      const importerReferences = getImporterReferences(importerEntry);
+      return {
+        rootKey: depName => referenceToKey(depName, importerReferences[depName]),
+        productionNames: getImporterProductionNames(importerEntry),
+        devNames: Object.keys(importerEntry.devDependencies || {})
+      };
+    }
+  });
+}
+
+/**
+ * Parse the JSON content of a bun.lock file.
+ * bun.lock is JSON with trailing commas, so those are removed (outside of strings) before parsing.
+ * @param {string} content - Raw bun.lock content
+ * @returns {Object} The parsed lockfile object
+ * @throws {SyntaxError} If the content is not valid JSON once trailing commas are removed
+ */
+export function parseBunLockJson(content) {
+  let json = '';
+  let inString = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      json += char;
+      if (char === '\\') {
+        json += content[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',') {
+      // Drop the comma if the next non-whitespace character closes an object or array
+      let next = i + 1;
+      while (next < content.length && /\s/.test(content[next])) next++;
+      if (content[next] === '}' || content[next] === ']') continue;
+    }
+
+    json += char;
+  }
+
+  return JSON.parse(json);
+}
+
+/**
+ * Split a bun.lock package key into its package names.
+ * For 'jest/@jest/core/chalk' returns ['jest', '@jest/core', 'chalk'].
+ * @param {string} lockfileKey - The bun.lock package key
+ * @returns {string[]} The package names along the nesting path
+ */
+function splitBunPackageKey(lockfileKey) {
+  const names = [];
+  const segments = lockfileKey.split('/');
+  for (let i = 0; i < segments.length; i++) {
+    names.push(
+      segments[i].startsWith('@') && i + 1 < segments.length ? `${segments[i]}/${segments[++i]}` : segments[i]
+    );
+  }
+  return names;
+}
+
+/**
+ * Parse a bun.lock file (Bun's text lockfile) into a normalized lockfile.
+ * Package keys are nesting paths (e.g., 'jest/chalk' for a copy of chalk nested under jest), resolved
+ * the same way as npm's node_modules layout. The root workspace entry (`workspaces['']`) identifies
+ * the production and dev roots.
+ * @param {string} content - Raw bun.lock content
+ * @returns {Object} Normalized lockfile keyed by bun.lock package key
+ */
+export function parseBunLockfile(content) {
+  const lock = parseBunLockJson(content);
+
+  const packages = {};
+  for (const [key, entry] of Object.entries(lock.packages || {})) {
+    if (!Array.isArray(entry) || typeof entry[0] !== 'string') continue;
+
+    // Entries look like ["name@version", "registry-url", { dependencies, ... }, "integrity"]
+    const [ident, resolved] = entry;
+    // Workspace entries are the local projects themselves; their dependency changes show up in package.json
+    if (ident.includes('@workspace:')) continue;
+
+    const info = entry.find(part => part && typeof part === 'object' && !Array.isArray(part)) || {};
+    packages[key] = {
+      version: ident.substring(ident.indexOf('@', 1) + 1),
+      resolved: resolved || undefined,
+      integrity: typeof entry[3] === 'string' ? entry[3] : undefined,
+      dependencies: info.dependencies,
+      optionalDependencies: info.optionalDependencies,
+      peerDependencies: info.peerDependencies
+    };
+  }
+
+  const rootWorkspace = lock.workspaces?.[''] || {};
+
+  return createLockfileGraph({
+    packages,
+    // Walk up the nesting path like npm's node_modules resolution: jest/chalk/dep, jest/dep, then dep
+    resolveDepKey: (parentKey, depName) => {
+      const names = splitBunPackageKey(parentKey);
+      for (let depth = names.length; depth >= 0; depth--) {
+        const candidate = [...names.slice(0, depth), depName].join('/');
+        if (packages[candidate]) return candidate;
+      }
+      return null;
+    },
+    rootKey: depName => (packages[depName] ? depName : null),
+    packageName: lockfileKey => splitBunPackageKey(lockfileKey).pop(),
+    productionRootNames: getProductionDependencyNames(rootWorkspace),
+    importer: importerPath => {
+      const workspace = lock.workspaces?.[importerPath];
+      if (!workspace) return null;
+      return {
+        // Versions that conflict with the hoisted copy are nested under the workspace package's name
+        rootKey: depName =>
+          [workspace.name && `${workspace.name}/${depName}`, depName].find(key => packages[key]) || null,
+        productionNames: getProductionDependencyNames(workspace),
+        devNames: Object.keys(workspace.devDependencies || {})
+      };
+    }
+  });
+}
+
+// Supported lockfile formats, keyed by lockfile name. `parse` returns a normalized lockfile
+// (see createNpmLockfile); `usesManifest` formats need package.json to tell dev from production.
+// `published` lockfiles ship inside the package tarball, so every non-dev change reaches consumers.
+const LOCKFILE_FORMATS = {
+  [PACKAGE_LOCK_JSON_FILENAME]: { parse: content => createNpmLockfile(JSON.parse(content)), usesManifest: false },
+  [NPM_SHRINKWRAP_FILENAME]: {
+    parse: content => createNpmLockfile(JSON.parse(content)),
+    usesManifest: false,
+    published: true
+  },
+  [YARN_LOCK_FILENAME]: { parse: parseYarnLockfile, usesManifest: true },
+  [PNPM_LOCK_FILENAME]: { parse: parsePnpmLockfile, usesManifest: false },
+  [BUN_LOCK_FILENAME]: { parse: parseBunLockfile, usesManifest: false }
+};
+
+// Lockfiles that record the project's own version, in the order they are checked for consistency
+const VERSIONED_LOCKFILES = [
+  {
+    filename: PACKAGE_LOCK_JSON_FILENAME,
+    installCommand: 'npm install',
+    readVersion: content => JSON.parse(content).version
+  },
+  {
+    filename: NPM_SHRINKWRAP_FILENAME,
+    installCommand: 'npm install',
+    readVersion: content => JSON.parse(content).version
+  },
+  {
+    filename: BUN_LOCK_FILENAME,
+    installCommand: 'bun install',
+    // Bun records the root project in its root workspace entry
+    readVersion: content => parseBunLockJson(content).workspaces?.['']?.version
+  }
+];
+
+/**
+ * Classify the changes between two versions of a normalized lockfile.
+ * @param {string} lockfileName - The lockfile name (used in debug logging)
+ * @param {Object} baseLock - Normalized lockfile at the base ref
+ * @param {Object} headLock - Normalized lockfile at the head ref
+ * @param {boolean} packageJsonHasOnlyDevChanges - Whether package.json showed only devDependency changes
+ * @param {Set<string>} changedDevDepNames - Names of devDependencies changed in package.json
+ * @returns {'none'|'dev'|'production'} The kind of dependency change found in the lockfile
+ */
+function classifyLockfileChanges(lockfileName, baseLock, headLock, packageJsonHasOnlyDevChanges, changedDevDepNames) {
+  // Check for changes in dependencies object (npm v6 and earlier)
+  const dependenciesChanged = !deepEqual(baseLock.dependencies, headLock.dependencies);
+
+  // Check for changes in packages object (npm v7+ and normalized lockfiles)
+  const packagesChanged = !deepEqual(baseLock.packages, headLock.packages);
+
+  if (!dependenciesChanged && !packagesChanged) {
+    return 'none';
+  }
+
+  logMessage(`Debug: ${lockfileName} has changes`, 'debug');
+
+  // Determine which packages changed (excluding metadata-only changes)
+  let changedKeys = new Set();
+
+  if (packagesChanged) {
+    changedKeys = getChangedPackageKeys(baseLock.packages, headLock.packages);
+  } else if (dependenciesChanged) {
+    changedKeys = getChangedPackageKeys(baseLock.dependencies, headLock.dependencies);
+  }
+
+  // If no actual changes after filtering out metadata-only changes, skip
+  if (changedKeys.size === 0) {
+    logMessage(`Debug: ${lockfileName} changes were metadata-only, skipping`, 'debug');
+    return 'none';
+  }
+
+  // Check if all changes are dev dependencies only
+  if (areAllChangesDevDependencies(baseLock, headLock, changedKeys)) {
+    return 'dev';
+  }
+
+  if (!packageJsonHasOnlyDevChanges) {
+    logMessage(`Debug: ${lockfileName} has production dependency changes`, 'debug');
+    return 'production';
+  }
+
+  // package.json shows only devDependency changes. Walk the dependency tree
+  // from changed devDeps to determine if non-dev lockfile changes are just
+  // reshuffling (transitive deps of the changed devDeps) or genuine production
+  // changes (e.g., intentional transitive bumps for security fixes).
+  const headPkgs = headLock.packages || {};
+  const basePkgs = baseLock.packages || {};
+
+  if (Object.keys(headPkgs).length === 0 && Object.keys(basePkgs).length === 0) {
+    // No packages section available (old lockfile format) - can't walk tree, be conservative
+    logMessage(
+      `Debug: ${lockfileName} has non-dev changes but no packages section for tree analysis - treating as production`,
+      'debug'
+    );
+    return 'production';
+  }
+
+  const changedDevDeps = [...changedDevDepNames];
+  const headTransitives = getTransitiveDeps(headLock, changedDevDeps.map(headLock.rootKey).filter(Boolean));
+  const baseTransitives = getTransitiveDeps(baseLock, changedDevDeps.map(baseLock.rootKey).filter(Boolean));
+  const devTransitives = new Set([...headTransitives, ...baseTransitives]);
+  const packageName = headLock.packageName;
+
+  // Build a set of package names that have a *confirmed* dev-attributable
+  // changed entry (either reachable via tree walk or marked dev: true).
+  // Used for fallback reshuffling detection: npm may nest the same package
+  // at a different path than the tree walk finds, but we only allow the
+  // name-based fallback if there's corroborating evidence that the dev
+  // update actually affected this package name.
+  const confirmedDevChangedNames = new Set();
+  for (const cKey of changedKeys) {
+    const cHeadPkg = headPkgs[cKey];
+    const cBasePkg = basePkgs[cKey];
+    const isDev = (cHeadPkg && cHeadPkg.dev) || (!cHeadPkg && cBasePkg && cBasePkg.dev);
+    if (isDev || devTransitives.has(cKey)) {
+      const name = packageName(cKey);
+      if (name) confirmedDevChangedNames.add(name);
+    }
+  }
+
+  for (const key of changedKeys) {
+    const headPkg = headPkgs[key];
+    const basePkg = basePkgs[key];
+    // Skip packages already known to be dev-only
+    if ((headPkg && headPkg.dev) || (!headPkg && basePkg && basePkg.dev)) continue;
+
+    if (!devTransitives.has(key)) {
+      // Fallback: check if the package name (regardless of nesting path)
+      // also changed at another path that IS confirmed as a dev change.
+      // This handles npm reshuffling where a package is moved to a different
+      // node_modules nesting level, but only when there's corroborating
+      // evidence (another changed instance of the same package that is
+      // reachable from dev deps or marked dev: true).
+      const pkgName = packageName(key);
+      if (pkgName && confirmedDevChangedNames.has(pkgName)) {
+        logMessage(
+          `Debug: lockfile change at ${key} attributed to devDependency reshuffling (package name ${pkgName} also changed at a confirmed dev path)`,
+          'debug'
+        );
+        continue;
+      }
+
+      logMessage(`Debug: lockfile change not attributable to devDependency update: ${key}`, 'debug');
+      logMessage(`Debug: ${lockfileName} has production changes alongside devDependency reshuffling`, 'debug');
+      return 'production';
+    }
+  }
+
+  logMessage(
+    `Debug: all non-dev ${lockfileName} changes are transitives of changed devDependencies - treating as reshuffling`,
+    'debug'
+  );
+  return 'dev';
+}
+
+/**
+ * Check if package files have actual dependency changes (not just metadata changes)
+ * This covers package.json and the supported lockfiles (package-lock.json, npm-shrinkwrap.json, yarn.lock, pnpm-lock.yaml, bun.lock)
+ * @param {string[]|null} changedFiles - Optional list of changed files to filter which package files to check.
+ *                                        If provided, only checks package files present in this list.
+ *                                        If null/undefined, checks all package files that differ between base and head.
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} options - Optional package location
+ * @param {string} options.packageDir - Package directory (e.g. a workspace package). When set, only the package files
+ *                                      inside this directory are checked, matched by exact path rather than by file name.
+ * @param {string|null} options.workspaceRoot - Workspace root directory ('.' for the repository root). When set with
+ *                                              packageDir, the root lockfiles are also checked, scoped to the package.
+ * @returns {Promise<{hasChanges: boolean, onlyDevDependencies: boolean}>} Object indicating if there are changes and if they're dev-only
+ */
+export async function hasPackageDependencyChanges(
+  changedFiles = null,
+  octokit = null,
+  owner = null,
+  repo = null,
+  { packageDir = '', workspaceRoot = null } = {}
+) {
+  try {
+    const context = github.context;
+    if (context.eventName !== 'pull_request') {
+      return { hasChanges: false, onlyDevDependencies: false };
+    }
+
+    const baseRef = context.payload.pull_request?.base?.sha;
+    const headRef = context.payload.pull_request?.head?.sha || context.sha;
+
+    if (!baseRef || !headRef) {
+      return { hasChanges: false, onlyDevDependencies: false };
+    }
+
+    if (!octokit || !owner || !repo) {
+      logMessage('⚠️ Missing API client for package dependency check, assuming changes exist', 'warning');
+      return { hasChanges: true, onlyDevDependencies: false };
+    }
+
+    // Determine which package files to check based on changedFiles filter
+    const packageFilePath = (fileName, dir = packageDir) => (dir ? path.posix.join(dir, fileName) : fileName);
+    const isInChangedFiles = (fileName, dir = packageDir) =>
+      changedFiles === null ||
+      changedFiles.some(f => (dir ? f === packageFilePath(fileName, dir) : path.basename(f) === fileName));
+    const shouldCheckPackageJson = isInChangedFiles(PACKAGE_JSON_FILENAME);
+    const lockfilesToCheck = Object.keys(LOCKFILE_FORMATS)
+      .filter(lockfileName => isInChangedFiles(lockfileName))
+      .map(lockfileName => ({ lockfileName, dir: packageDir, importerPath: null }));
+
+    // A workspace package's dependencies are usually locked in the workspace root lockfile
+    if (
+      packageDir &&
+      workspaceRoot !== null &&
+      path.posix.normalize(packageDir) !== path.posix.normalize(workspaceRoot)
+    ) {
+      const importerPath = path.posix.relative(workspaceRoot, packageDir);
+      lockfilesToCheck.push(
+        ...Object.keys(LOCKFILE_FORMATS)
+          .filter(lockfileName => isInChangedFiles(lockfileName, workspaceRoot))
+          .map(lockfileName => ({ lockfileName, dir: workspaceRoot, importerPath }))
+      );
+    }
+
+    if (!shouldCheckPackageJson && lockfilesToCheck.length === 0) {
+      logMessage('Debug: No package files in changed files list, skipping package dependency check', 'debug');
+      return { hasChanges: false, onlyDevDependencies: false };
+    }
+
+    // Get configuration for dev dependencies
+    const includeDevDependencies = core.getBooleanInput('include-dev-dependencies');
+    logMessage(`Debug: include-dev-dependencies setting: ${includeDevDependencies}`, 'debug');
+
+    let hasProductionChanges = false;
+    let hasAnyDevChanges = false;
+    const changedDevDepNames = new Set();
+    // Parsed package.json at each ref, reused by lockfile formats that need the root manifest
+    const manifests = new Map();
+
+    // Check package.json for dependency changes using proper JSON parsing
+    if (shouldCheckPackageJson) {
+      const basePackageJsonRaw = await getFileAtRef(
+        packageFilePath(PACKAGE_JSON_FILENAME),
+        baseRef,
+        octokit,
+        owner,
+        repo
+      );
+      const headPackageJsonRaw = await getFileAtRef(
+        packageFilePath(PACKAGE_JSON_FILENAME),
+        headRef,
+        octokit,
+        owner,
+        repo
+      );
+
+      if (basePackageJsonRaw && headPackageJsonRaw) {
+        try {
+          const basePackageJson = JSON.parse(basePackageJsonRaw);
+          const headPackageJson = JSON.parse(headPackageJsonRaw);
+          manifests.set(`${packageDir}@${baseRef}`, basePackageJson);
+          manifests.set(`${packageDir}@${headRef}`, headPackageJson);
+
+          // Check production dependency sections
+          const productionSections = [
+            'dependencies',
+            'peerDependencies',
+            'optionalDependencies',
+            'bundleDependencies',
+            'bundledDependencies'
+          ];
+
+          // Check if any production dependencies changed
+          for (const section of productionSections) {
+            if (!deepEqual(basePackageJson[section], headPackageJson[section])) {
+              logMessage(`Debug: package.json production dependency change detected in section: ${section}`, 'debug');
+              hasProductionChanges = true;
+              break;
+            }
+          }
+
+          // Check if devDependencies changed
+          if (!deepEqual(basePackageJson.devDependencies, headPackageJson.devDependencies)) {
+            hasAnyDevChanges = true;
+            if (includeDevDependencies) {
+              logMessage(
+                'Debug: package.json devDependencies change detected (include-dev-dependencies is true)',
+                'debug'
+              );
+              hasProductionChanges = true;
+            } else {
+              logMessage('Debug: Only devDependencies changed in package.json', 'debug');
+            }
+
+            // Collect names of changed dev dependencies for lockfile tree walking analysis
+            const baseDevDeps = basePackageJson.devDependencies || {};
+            const headDevDeps = headPackageJson.devDependencies || {};
+            const allDevNames = new Set([...Object.keys(baseDevDeps), ...Object.keys(headDevDeps)]);
+            for (const name of allDevNames) {
+              if (baseDevDeps[name] !== headDevDeps[name]) {
+                changedDevDepNames.add(name);
+              }
+            }
+          }
+        } catch (error) {
+          // If JSON parsing fails, conservatively assume a change
+          logMessage(`Warning: Could not parse package.json for comparison: ${error.message}`, 'warning');
+          return { hasChanges: true, onlyDevDependencies: false };
+        }
+      } else if (basePackageJsonRaw !== headPackageJsonRaw) {
+        // One exists and the other doesn't
+        return { hasChanges: true, onlyDevDependencies: false };
+      }
+    }
+
+    // After package.json analysis: if package.json was checked, showed zero production
+    // dependency section changes, AND confirmed devDependency changes, record that fact.
+    // This is used to gate the lockfile analysis below, because package managers can reshuffle
+    // the lockfile tree (hoisting, deduplication) as a side-effect of any dependency change,
+    // and those reshuffled packages may not be classified as dev-only.
+    const packageJsonHasOnlyDevChanges = shouldCheckPackageJson && !hasProductionChanges && hasAnyDevChanges;
+
+    // Lockfile formats without dev flags need the root manifest to classify packages
+    const getManifestAtRef = async (ref, dir = packageDir) => {
+      const cacheKey = `${dir}@${ref}`;
+      if (!manifests.has(cacheKey)) {
+        const raw = await getFileAtRef(packageFilePath(PACKAGE_JSON_FILENAME, dir), ref, octokit, owner, repo);
+        let manifest = null;
+        try {
+          manifest = raw ? JSON.parse(raw) : null;
+        } catch {
+          logMessage(`Debug: Could not parse package.json at ${ref} for lockfile classification`, 'debug');
+        }
+        manifests.set(cacheKey, manifest);
+      }
+      return manifests.get(cacheKey);
+    };
+
+    // Check each lockfile for actual dependency changes
+    for (const { lockfileName, dir, importerPath } of lockfilesToCheck) {
+      const baseLockRaw = await getFileAtRef(packageFilePath(lockfileName, dir), baseRef, octokit, owner, repo);
+      const headLockRaw = await getFileAtRef(packageFilePath(lockfileName, dir), headRef, octokit, owner, repo);
+
+      if (!baseLockRaw || !headLockRaw) {
+        if (baseLockRaw !== headLockRaw) {
+          // One exists and the other doesn't
+          return { hasChanges: true, onlyDevDependencies: false };
+        }
+        continue;
+      }
+
+      let classification;
+      try {
+        const { parse, usesManifest, published } = LOCKFILE_FORMATS[lockfileName];
+        let baseLock = parse(baseLockRaw, usesManifest ? await getManifestAtRef(baseRef, dir) : null);
+        let headLock = parse(headLockRaw, usesManifest ? await getManifestAtRef(headRef, dir) : null);
+
+        if (importerPath) {
+          const baseScoped = scopeLockfileToImporter(baseLock, importerPath, await getManifestAtRef(baseRef));
+          const headScoped = scopeLockfileToImporter(headLock, importerPath, await getManifestAtRef(headRef));
+          if (baseScoped || headScoped) {
+            logMessage(`Debug: Comparing only the dependencies of ${importerPath} in ${lockfileName}`, 'debug');
+            // A package missing on one side was added or removed, so all of its dependencies changed
+            baseLock = baseScoped || { ...baseLock, packages: {}, dependencies: undefined };
+            headLock = headScoped || { ...headLock, packages: {}, dependencies: undefined };
+          } else {
+            logMessage(`Debug: ${importerPath} not found in ${lockfileName}, comparing the whole lockfile`, 'debug');
+          }
+        }
+        if (published && packageJsonHasOnlyDevChanges) {
+          logMessage(
+            `Debug: ${lockfileName} is published with the package, so non-dev changes are not attributed to devDependency reshuffling`,
+            'debug'
+          );
+        }
+        classification = classifyLockfileChanges(
+          lockfileName,
+          baseLock,
+          headLock,
+          packageJsonHasOnlyDevChanges && !published,
+          changedDevDepNames
+        );
+      } catch (error) {
+        // If parsing fails, conservatively assume a change
+        logMessage(`Warning: Could not parse ${lockfileName} for comparison: ${error.message}`, 'warning');
+        return { hasChanges: true, onlyDevDependencies: false };
+      }
+
+      if (classification === 'production') {
+        hasProductionChanges = true;
+      } else if (classification === 'dev') {
+        hasAnyDevChanges = true;
+        if (includeDevDependencies) {
+          logMessage(
+            `Debug: ${lockfileName} devDependencies change detected (include-dev-dependencies is true)`,
+            'debug'
+          );
+          hasProductionChanges = true;
+        } else {
+          logMessage(`Debug: Only devDependencies changed in ${lockfileName}`, 'debug');
+        }
+      }
+    }
+
+    // Return result based on what we found
+    if (hasProductionChanges) {
+      return { hasChanges: true, onlyDevDependencies: false };
+    } else if (hasAnyDevChanges) {
+      return { hasChanges: false, onlyDevDependencies: true };
+    } else {
+      return { hasChanges: false, onlyDevDependencies: false };
+    }
+  } catch (error) {
     // If we can't determine dependency changes, err on the side of caution
     logMessage(`Warning: Could not check package dependency changes: ${error.message}`, 'warning');
     return { hasChanges: true, onlyDevDependencies: false };
@@ -886,41 +1908,2218 @@ export function parseNodeRuntime(content) {
 }
 
 /**
- * Detect if the Node.js runtime version changed in action.yml between base and head refs.
- * @param {string} baseRef - The base git ref (SHA)
- * @param {string} headRef - The head git ref (SHA)
- * @param {string} actionYmlPath - Path to the action.yml file
- * @param {object} octokit - The authenticated Octokit instance
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<{changed: boolean, baseVersion: number|null, headVersion: number|null}>}
+ * Parse the runtime of an action from its action.yml content: runs.using and, for Docker actions, runs.image.
+ * @param {string} content - The raw content of an action.yml file
+ * @returns {{using: string, image: string|null}|null} The runtime, or null if the action has no runs.using
  */
-export async function detectNodeRuntimeChange(baseRef, headRef, actionYmlPath, octokit, owner, repo) {
-  const result = { changed: false, baseVersion: null, headVersion: null };
+export function parseActionRuntime(content) {
+  const runs = parseActionMetadata(content).runs;
+  if (!runs || typeof runs !== 'object' || typeof runs.using !== 'string') return null;
 
-  try {
-    const baseContent = await getFileAtRef(actionYmlPath, baseRef, octokit, owner, repo);
-    const headContent = await getFileAtRef(actionYmlPath, headRef, octokit, owner, repo);
+  return {
+    using: runs.using.trim().toLowerCase(),
+    image: typeof runs.image === 'string' ? runs.image.trim() : null
+  };
+}
 
-    if (!baseContent || !headContent) {
-      // action.yml doesn't exist at one or both refs - skip check
-      return result;
-    }
+/**
+ * Get the Node.js version of a parsed action runtime (e.g., 20 for node20).
+ * @param {{using: string}} runtime - The parsed runtime
+ * @returns {number|null} The Node.js version, or null if the action does not run on Node.js
+ */
+function getNodeRuntimeVersion(runtime) {
+  const match = runtime.using.match(/^node(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Parse the base image of the final stage of a Dockerfile, i.e. the image the container runs on.
+ * Resolves build stages used as a base (FROM build AS final) and ARG defaults declared before the first FROM.
+ * @param {string} content - The raw content of a Dockerfile
+ * @returns {string|null} The base image (e.g. node:20-alpine), or null if the Dockerfile has no FROM
+ */
+export function parseDockerfileBaseImage(content) {
+  if (!content || typeof content !== 'string') return null;
+
+  const args = new Map();
+  const stages = new Map();
+  let baseImage = null;
+  // Join continued lines and drop comments so each instruction is one line
+  const instructions = content
+    .replace(/\\\r?\n/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  for (const instruction of instructions) {
+    const [keyword, ...rest] = instruction.split(/\s+/);
+    if (keyword.toUpperCase() === 'ARG' && baseImage === null) {
+      for (const arg of rest) {
+        const [name, ...value] = arg.split('=');
+        args.set(name, value.join('=').replace(/^["']|["']$/g, ''));
+      }
+    } else if (keyword.toUpperCase() === 'FROM') {
+      const [image, as, stage] = rest.filter(token => !token.startsWith('--'));
+      if (!image) continue;
+      const resolved = image.replace(/\$\{?(\w+)\}?/g, (match, name) => (args.has(name) ? args.get(name) : match));
+      baseImage = stages.get(resolved.toLowerCase()) || resolved;
+      if (as && as.toUpperCase() === 'AS' && stage) {
+        stages.set(stage.toLowerCase(), baseImage);
+      }
+    }
+  }
+
+  return baseImage;
+}
+
+/**
+ * Resolve the image a Docker action runs: the docker:// image, or the base image of its Dockerfile.
+ * @param {string|null} image - The runs.image value
+ * @param {string} actionYmlPath - Path to the action.yml file; Dockerfile paths are relative to its directory
+ * @param {string} ref - The git ref (SHA)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string|null>} The image, or runs.image itself if the Dockerfile could not be parsed
+ */
+async function resolveDockerRuntimeImage(image, actionYmlPath, ref, octokit, owner, repo) {
+  if (!image || image.startsWith(DOCKER_IMAGE_PREFIX)) {
+    return image ? image.slice(DOCKER_IMAGE_PREFIX.length) : null;
+  }
+
+  const dockerfilePath = path.posix.join(path.posix.dirname(actionYmlPath), image);
+  const dockerfile = await getFileAtRef(dockerfilePath, ref, octokit, owner, repo);
+  return parseDockerfileBaseImage(dockerfile) || image;
+}
+
+/**
+ * Format an action runtime for messages, e.g. node20, composite, or docker (node:20-alpine).
+ * @param {{using: string}} runtime - The parsed runtime
+ * @param {string|null} image - The resolved image of a Docker action
+ * @returns {string} The runtime label
+ */
+function formatActionRuntime(runtime, image) {
+  return runtime.using === 'docker' && image ? `docker (${image})` : runtime.using;
+}
+
+/**
+ * Detect if the runtime of an action changed between base and head refs: a different Node.js runtime
+ * version, a different execution model (e.g., node20 to composite or docker), or, for Docker actions,
+ * a different image or Dockerfile base image.
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {string} actionYmlPath - Path to the action.yml file
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changed: boolean, baseVersion: number|null, headVersion: number|null, baseRuntime: string|null, headRuntime: string|null, description: string|null}>}
+ */
+export async function detectActionRuntimeChange(baseRef, headRef, actionYmlPath, octokit, owner, repo) {
+  const result = {
+    changed: false,
+    baseVersion: null,
+    headVersion: null,
+    baseRuntime: null,
+    headRuntime: null,
+    description: null
+  };
+
+  try {
+    const baseContent = await getFileAtRef(actionYmlPath, baseRef, octokit, owner, repo);
+    const headContent = await getFileAtRef(actionYmlPath, headRef, octokit, owner, repo);
+
+    if (!baseContent || !headContent) {
+      // action.yml doesn't exist at one or both refs - skip check
+      return result;
+    }
+
+    const baseRuntime = parseActionRuntime(baseContent);
+    const headRuntime = parseActionRuntime(headContent);
+    if (!baseRuntime || !headRuntime) {
+      return result;
+    }
+
+    result.baseVersion = getNodeRuntimeVersion(baseRuntime);
+    result.headVersion = getNodeRuntimeVersion(headRuntime);
+    if (result.baseVersion !== null && result.headVersion !== null) {
+      result.baseRuntime = baseRuntime.using;
+      result.headRuntime = headRuntime.using;
+      if (result.baseVersion !== result.headVersion) {
+        result.changed = true;
+        result.description = `Node.js Actions runtime changed from ${result.baseRuntime} to ${result.headRuntime}`;
+      }
+      return result;
+    }
+
+    const baseImage =
+      baseRuntime.using === 'docker'
+        ? await resolveDockerRuntimeImage(baseRuntime.image, actionYmlPath, baseRef, octokit, owner, repo)
+        : null;
+    const headImage =
+      headRuntime.using === 'docker'
+        ? await resolveDockerRuntimeImage(headRuntime.image, actionYmlPath, headRef, octokit, owner, repo)
+        : null;
+    result.baseRuntime = formatActionRuntime(baseRuntime, baseImage);
+    result.headRuntime = formatActionRuntime(headRuntime, headImage);
+
+    if (baseRuntime.using !== headRuntime.using) {
+      result.changed = true;
+      result.description = `Actions runtime changed from ${result.baseRuntime} to ${result.headRuntime}`;
+    } else if (baseImage !== headImage) {
+      result.changed = true;
+      result.description = `Docker image changed from ${baseImage} to ${headImage}`;
+    }
+
+    return result;
+  } catch (error) {
+    // Conservative: treat API failures as a potential change to avoid
+    // silently skipping a required major version bump
+    logMessage(
+      `⚠️ Could not check ${actionYmlPath} runtime change: ${error.message}. Assuming change occurred.`,
+      'warning'
+    );
+    return { ...result, changed: true, description: 'Actions runtime could not be compared' };
+  }
+}
+
+/**
+ * Detect if the Node.js runtime version changed in action.yml between base and head refs.
+ * Kept for compatibility: only a change between two Node.js versions counts, so switching to another
+ * execution model or Docker image does not. Use detectActionRuntimeChange to detect those as well.
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {string} actionYmlPath - Path to the action.yml file
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changed: boolean, baseVersion: number|null, headVersion: number|null}>}
+ */
+export async function detectNodeRuntimeChange(baseRef, headRef, actionYmlPath, octokit, owner, repo) {
+  const { changed, baseVersion, headVersion, baseRuntime } = await detectActionRuntimeChange(
+    baseRef,
+    headRef,
+    actionYmlPath,
+    octokit,
+    owner,
+    repo
+  );
+  // A change without a base runtime means action.yml could not be compared, which counts as a change
+  const nodeVersionChanged = baseVersion !== null && headVersion !== null && baseVersion !== headVersion;
+  return { changed: changed && (baseRuntime === null || nodeVersionChanged), baseVersion, headVersion };
+}
+
+/**
+ * Check if a file is a Dockerfile (Dockerfile, Dockerfile.alpine, or app.dockerfile).
+ * @param {string} file - File path
+ * @returns {boolean} True if the file is a Dockerfile
+ */
+function isDockerfile(file) {
+  const name = path.posix.basename(file).toLowerCase();
+  return name === 'dockerfile' || name.startsWith('dockerfile.') || name.endsWith('.dockerfile');
+}
+
+/**
+ * Check if a file is action metadata (action.yml or action.yaml) of a published action.
+ * Metadata files in excluded directories (e.g., test fixtures, examples, .github) are not published actions.
+ * @param {string} file - File path relative to the package directory
+ * @returns {boolean} True if the file is action metadata
+ */
+export function isActionMetadataFile(file) {
+  const segments = file.split('/');
+  return (
+    ACTION_METADATA_FILENAMES.includes(segments[segments.length - 1]) &&
+    !segments.slice(0, -1).some(segment => EXCLUDED_DIRECTORIES.includes(segment))
+  );
+}
+
+/**
+ * Find the action metadata files in a package directory of the local checkout: the package's own action
+ * and nested actions (e.g., actions/setup/action.yml).
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @returns {string[]} Action metadata paths relative to the repository root
+ */
+export function findActionMetadataFiles(packageDir) {
+  const files = [];
+  for (const dir of ['', ...listSubdirectories(packageDir, '', true)]) {
+    for (const filename of ACTION_METADATA_FILENAMES) {
+      const file = path.posix.join(dir, filename);
+      if (isActionMetadataFile(file) && fs.existsSync(path.join(packageDir, file))) {
+        files.push(path.posix.join(packageDir, file));
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Check whether a file is inside one of the directories the default rules exclude (e.g., dist/ or test/).
+ * @param {string} file - File path relative to the package directory
+ * @returns {boolean} True if a directory segment of the path is an excluded directory
+ */
+function isInExcludedDirectory(file) {
+  return file
+    .split('/')
+    .slice(0, -1)
+    .some(segment => EXCLUDED_DIRECTORIES.includes(segment));
+}
+
+/**
+ * Find the bundle directories of the JavaScript actions in a package directory of the local checkout: the
+ * directories of runs.main, runs.pre, and runs.post that the default rules exclude (e.g., dist/ for an action
+ * bundled with ncc into dist/index.js). Entrypoints in other directories are already relevant source files.
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @returns {string[]} Bundle directories relative to the package directory
+ */
+export function getActionBundleDirectories(packageDir) {
+  const directories = new Set();
+  for (const actionPath of findActionMetadataFiles(packageDir)) {
+    let runs;
+    try {
+      runs = parseActionMetadata(fs.readFileSync(actionPath, 'utf8')).runs;
+    } catch (error) {
+      logMessage(`Debug: Could not read ${actionPath}: ${error.message}`, 'debug');
+      continue;
+    }
+    if (!runs || typeof runs.using !== 'string' || !/^node\d+$/i.test(runs.using.trim())) continue;
+
+    const actionDir = path.posix.relative(packageDir, path.posix.dirname(actionPath));
+    for (const key of ['main', ...ACTION_LIFECYCLE_HOOKS]) {
+      if (typeof runs[key] !== 'string') continue;
+      const directory = path.posix.dirname(path.posix.join(actionDir, runs[key].trim()));
+      if (directory === '.' || directory.startsWith('..')) continue;
+      if (directory.split('/').some(segment => EXCLUDED_DIRECTORIES.includes(segment))) {
+        directories.add(directory);
+      }
+    }
+  }
+  return [...directories];
+}
+
+/**
+ * Check whether source files changed without a rebuilt action bundle: relevant files outside the bundle
+ * directories changed, but no file inside any of them did.
+ * @param {string[]} relevantFiles - Relevant changed files (relative to the package directory)
+ * @param {string[]} bundleDirectories - Action bundle directories (see getActionBundleDirectories)
+ * @returns {string[]} The changed source files when the bundle is stale, otherwise an empty array
+ */
+export function findStaleBundleSources(relevantFiles, bundleDirectories) {
+  if (bundleDirectories.length === 0) return [];
+  const isBundleFile = file => bundleDirectories.some(dir => file.startsWith(`${dir}/`));
+  if (relevantFiles.some(isBundleFile)) return [];
+  return relevantFiles;
+}
+
+/**
+ * Parse an action metadata file (action.yml) as YAML.
+ * @param {string} content - The action.yml content
+ * @returns {Object} The parsed metadata
+ * @throws {Error} If the content is not valid YAML or not a mapping
+ */
+export function parseActionMetadata(content) {
+  const metadata = YAML.parse(content);
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('action metadata is not a YAML mapping');
+  }
+  return metadata;
+}
+
+/**
+ * Normalize the inputs or outputs of action metadata into a map keyed by lowercase name,
+ * since the runner matches input names case-insensitively.
+ * @param {any} entries - The inputs or outputs mapping
+ * @returns {Map<string, {name: string, definition: Object}>} Lowercase name to the declared name and its definition
+ */
+function normalizeActionEntries(entries) {
+  const result = new Map();
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) return result;
+  for (const [name, definition] of Object.entries(entries)) {
+    result.set(name.toLowerCase(), {
+      name,
+      definition: definition && typeof definition === 'object' ? definition : {}
+    });
+  }
+  return result;
+}
+
+/**
+ * Compare the inputs and outputs of two action metadata files. Each change is classified by the version increment
+ * it requires:
+ * - major: an input or output removed, a required input without a default added, an input made required, or an
+ *   input default added, changed, or removed (consumers relying on the default get different behavior)
+ * - minor: an optional input or an output added, an input made optional, or an input deprecated
+ * @param {Object} baseMetadata - action.yml at the base ref
+ * @param {Object} headMetadata - action.yml at the head ref
+ * @returns {Array<{field: string, description: string, incrementType: string}>} Interface changes
+ */
+export function diffActionInterface(baseMetadata, headMetadata) {
+  const changes = [];
+  const add = (field, description, incrementType) => changes.push({ field, description, incrementType });
+  const isRequired = definition => definition.required === true || definition.required === 'true';
+  const getDefault = definition => (definition.default === undefined ? null : String(definition.default));
+
+  const baseInputs = normalizeActionEntries(baseMetadata.inputs);
+  const headInputs = normalizeActionEntries(headMetadata.inputs);
+  for (const [key, { name, definition: base }] of baseInputs) {
+    const head = headInputs.get(key)?.definition;
+    const field = `inputs.${name}`;
+    if (!head) {
+      add(field, `input "${name}" removed`, 'major');
+      continue;
+    }
+    if (!isRequired(base) && isRequired(head)) {
+      add(field, `input "${name}" made required`, 'major');
+    } else if (isRequired(base) && !isRequired(head)) {
+      add(field, `input "${name}" made optional`, 'minor');
+    }
+    const baseDefault = getDefault(base);
+    const headDefault = getDefault(head);
+    if (baseDefault === null && headDefault !== null) {
+      add(field, `input "${name}" default "${headDefault}" added`, 'major');
+    } else if (baseDefault !== null && headDefault === null) {
+      add(field, `input "${name}" default "${baseDefault}" removed`, 'major');
+    } else if (baseDefault !== headDefault) {
+      add(field, `input "${name}" default changed from "${baseDefault}" to "${headDefault}"`, 'major');
+    }
+    if (!base.deprecationMessage && head.deprecationMessage) {
+      add(field, `input "${name}" deprecated`, 'minor');
+    }
+  }
+  for (const [key, { name, definition: head }] of headInputs) {
+    if (baseInputs.has(key)) continue;
+    if (isRequired(head) && getDefault(head) === null) {
+      add(`inputs.${name}`, `required input "${name}" added`, 'major');
+    } else {
+      add(`inputs.${name}`, `input "${name}" added`, 'minor');
+    }
+  }
+
+  const baseOutputs = normalizeActionEntries(baseMetadata.outputs);
+  const headOutputs = normalizeActionEntries(headMetadata.outputs);
+  for (const [key, { name }] of baseOutputs) {
+    if (!headOutputs.has(key)) add(`outputs.${name}`, `output "${name}" removed`, 'major');
+  }
+  for (const [key, { name }] of headOutputs) {
+    if (!baseOutputs.has(key)) add(`outputs.${name}`, `output "${name}" added`, 'minor');
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the entrypoints and lifecycle hooks (runs.main, runs.pre, runs.post, pre-if, and post-if) of two action
+ * metadata files. An added or removed pre or post hook requires the configured increment; a moved entrypoint or a
+ * changed hook condition only requires a release (patch).
+ * @param {Object} baseMetadata - action.yml at the base ref
+ * @param {Object} headMetadata - action.yml at the head ref
+ * @param {string} hookIncrementType - The increment an added or removed hook requires (major, minor, or patch)
+ * @returns {Array<{field: string, description: string, incrementType: string}>} Lifecycle changes
+ */
+export function diffActionLifecycle(baseMetadata, headMetadata, hookIncrementType) {
+  const changes = [];
+  const add = (field, description, incrementType) => changes.push({ field, description, incrementType });
+  const getRuns = metadata => (metadata.runs && typeof metadata.runs === 'object' ? metadata.runs : {});
+  const getEntry = (runs, key) => (runs[key] === undefined || runs[key] === null ? null : String(runs[key]).trim());
+  const baseRuns = getRuns(baseMetadata);
+  const headRuns = getRuns(headMetadata);
+
+  const baseMain = getEntry(baseRuns, 'main');
+  const headMain = getEntry(headRuns, 'main');
+  // A main added or removed switches the runtime, which the runtime check reports
+  if (baseMain !== null && headMain !== null && baseMain !== headMain) {
+    add('runs.main', `main entrypoint changed from "${baseMain}" to "${headMain}"`, 'patch');
+  }
+
+  for (const hook of ACTION_LIFECYCLE_HOOKS) {
+    const base = getEntry(baseRuns, hook);
+    const head = getEntry(headRuns, hook);
+    if (base === null && head !== null) {
+      add(`runs.${hook}`, `${hook} hook "${head}" added`, hookIncrementType);
+      continue;
+    }
+    if (base !== null && head === null) {
+      add(`runs.${hook}`, `${hook} hook "${base}" removed`, hookIncrementType);
+      continue;
+    }
+    if (base === null) continue;
+    if (base !== head) {
+      add(`runs.${hook}`, `${hook} entrypoint changed from "${base}" to "${head}"`, 'patch');
+    }
+
+    const condition = `${hook}-if`;
+    const baseCondition = getEntry(baseRuns, condition);
+    const headCondition = getEntry(headRuns, condition);
+    if (baseCondition === null && headCondition !== null) {
+      add(`runs.${condition}`, `${condition} condition "${headCondition}" added`, 'patch');
+    } else if (baseCondition !== null && headCondition === null) {
+      add(`runs.${condition}`, `${condition} condition "${baseCondition}" removed`, 'patch');
+    } else if (baseCondition !== headCondition) {
+      add(`runs.${condition}`, `${condition} condition changed from "${baseCondition}" to "${headCondition}"`, 'patch');
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Detect changes to the inputs, outputs, entrypoints, and lifecycle hooks of action.yml between base and head refs.
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {string} actionYmlPath - Path to the action.yml file
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [hookIncrementType='major'] - The increment an added or removed pre or post hook requires
+ * @returns {Promise<{changes: Array<{field: string, description: string, incrementType: string}>, incrementType: string|null}>}
+ *          The interface changes and the largest increment they require (null when nothing changed)
+ */
+export async function detectActionInterfaceChanges(
+  baseRef,
+  headRef,
+  actionYmlPath,
+  octokit,
+  owner,
+  repo,
+  hookIncrementType = 'major'
+) {
+  const result = { changes: [], incrementType: null };
+
+  try {
+    const baseContent = await getFileAtRef(actionYmlPath, baseRef, octokit, owner, repo);
+    const headContent = await getFileAtRef(actionYmlPath, headRef, octokit, owner, repo);
+
+    if (!baseContent || !headContent) {
+      // action.yml doesn't exist at one or both refs - nothing to compare
+      return result;
+    }
+
+    const baseMetadata = parseActionMetadata(baseContent);
+    const headMetadata = parseActionMetadata(headContent);
+    result.changes = [
+      ...diffActionInterface(baseMetadata, headMetadata),
+      ...diffActionLifecycle(baseMetadata, headMetadata, hookIncrementType)
+    ];
+    for (const change of result.changes) {
+      if (compareIncrementTypes(change.incrementType, result.incrementType) > 0) {
+        result.incrementType = change.incrementType;
+      }
+    }
+
+    return result;
+  } catch (error) {
+    // Conservative: treat API and parse failures as a breaking change to avoid
+    // silently skipping a required major version bump
+    logMessage(
+      `⚠️ Could not check ${actionYmlPath} interface changes: ${error.message}. Assuming a breaking change occurred.`,
+      'warning'
+    );
+    return {
+      changes: [
+        { field: actionYmlPath, description: `${actionYmlPath} could not be compared`, incrementType: 'major' }
+      ],
+      incrementType: 'major'
+    };
+  }
+}
+
+/**
+ * Normalize a package.json exports field into a map of subpath to export target.
+ * @param {any} exports - The exports field
+ * @returns {Object|null} Subpath map (e.g. { '.': './index.js' }), or null when there is no exports field
+ */
+function normalizeExports(exports) {
+  if (exports === undefined || exports === null) return null;
+  if (typeof exports !== 'object' || Array.isArray(exports)) return { '.': exports };
+
+  // An object of conditions (no subpath keys) is shorthand for the '.' subpath
+  const keys = Object.keys(exports);
+  if (keys.length > 0 && keys.every(key => key.startsWith('.'))) return exports;
+  return { '.': exports };
+}
+
+/**
+ * Flatten an export target into its condition paths (e.g. 'import', 'node.require').
+ * A plain string target is the 'default' condition. Null targets block the path and are left out.
+ * @param {any} target - Export target for one subpath
+ * @param {string[]} conditions - Conditions leading to this target
+ * @param {Map<string, string>} result - Accumulated condition path to serialized target
+ * @returns {Map<string, string>} Condition path to serialized target
+ */
+function flattenExportConditions(target, conditions = [], result = new Map()) {
+  if (target === null || target === undefined) return result;
+  if (typeof target === 'object' && !Array.isArray(target)) {
+    for (const [condition, value] of Object.entries(target)) {
+      flattenExportConditions(value, [...conditions, condition], result);
+    }
+    return result;
+  }
+  result.set(conditions.length > 0 ? conditions.join('.') : 'default', JSON.stringify(target));
+  return result;
+}
+
+/**
+ * Normalize a package.json bin field into a map of command name to file.
+ * @param {Object} manifest - Parsed package.json
+ * @returns {Object} Command name to file
+ */
+function normalizeBin(manifest) {
+  if (typeof manifest.bin === 'string') {
+    // A string bin installs a command named after the package (without its scope)
+    const name = (manifest.name || '').replace(/^@[^/]+\//, '');
+    return name ? { [name]: manifest.bin } : {};
+  }
+  return manifest.bin && typeof manifest.bin === 'object' ? manifest.bin : {};
+}
+
+/**
+ * Compare the versions allowed by two semver ranges. A missing range allows every version.
+ * @param {string|undefined} baseRange - Range at the base ref
+ * @param {string|undefined} headRange - Range at the head ref
+ * @returns {string} 'equivalent', 'widened' (head allows everything base did and more),
+ *          'narrowed' (head excludes versions base allowed), or 'invalid' when a range cannot be parsed
+ */
+function compareVersionRanges(baseRange, headRange) {
+  const baseValid = semver.validRange(baseRange === undefined ? '*' : baseRange);
+  const headValid = semver.validRange(headRange === undefined ? '*' : headRange);
+  if (!baseValid || !headValid) return 'invalid';
+
+  const baseAllowedByHead = semver.subset(baseValid, headValid);
+  if (baseAllowedByHead && semver.subset(headValid, baseValid)) return 'equivalent';
+  return baseAllowedByHead ? 'widened' : 'narrowed';
+}
+
+/**
+ * Classify a change to the engines.node range by comparing the Node.js versions each range allows.
+ * A missing range allows every version. Narrowing the range drops support for versions the previous
+ * release allowed and requires a major bump; widening it requires a minor bump.
+ * @param {string|undefined} baseRange - engines.node at the base ref
+ * @param {string|undefined} headRange - engines.node at the head ref
+ * @returns {{incrementType: string, description: string}} The classified change ('major' when narrowed)
+ */
+export function classifyNodeEnginesChange(baseRange, headRange) {
+  const from = baseRange === undefined ? 'any version' : `"${baseRange}"`;
+  const to = headRange === undefined ? 'any version' : `"${headRange}"`;
+
+  switch (compareVersionRanges(baseRange, headRange)) {
+    case 'equivalent':
+      return { incrementType: 'patch', description: `engines.node rewritten from ${from} to ${to} (same versions)` };
+    case 'widened':
+      return { incrementType: 'minor', description: `engines.node widened from ${from} to ${to}` };
+    case 'narrowed':
+      return { incrementType: 'major', description: `engines.node narrowed from ${from} to ${to}` };
+    default:
+      // Conservative: a range that cannot be compared may have dropped versions
+      return {
+        incrementType: 'major',
+        description: `engines.node changed from ${from} to ${to} (not a valid semver range, assuming it was narrowed)`
+      };
+  }
+}
+
+/**
+ * Check whether the package.json contract changes include a narrowed engines.node range,
+ * which sets the engines-changed output.
+ * @param {{changes: Array<{field: string, incrementType: string}>}|null} manifestContract - The contract changes
+ * @returns {boolean} True when engines.node was narrowed
+ */
+function isNodeEnginesNarrowed(manifestContract) {
+  return (
+    manifestContract !== null &&
+    manifestContract.changes.some(change => change.field === 'engines.node' && change.incrementType === 'major')
+  );
+}
+
+/**
+ * Classify the changes to a package's peerDependencies, including peerDependenciesMeta.optional.
+ * Changes that can make an existing install fail are breaking and require a major bump:
+ * a new required peer, a narrowed peer range, or an optional peer becoming required.
+ * Added optional peers, widened ranges, removed peers, and peers becoming optional require a minor bump.
+ * @param {Object} baseManifest - package.json at the base ref
+ * @param {Object} headManifest - package.json at the head ref
+ * @returns {Array<{field: string, description: string, incrementType: string}>} Peer dependency changes
+ */
+export function diffPeerDependencies(baseManifest, headManifest) {
+  const basePeers = baseManifest?.peerDependencies || {};
+  const headPeers = headManifest?.peerDependencies || {};
+  const isOptional = (manifest, name) => manifest?.peerDependenciesMeta?.[name]?.optional === true;
+  const changes = [];
+
+  for (const name of new Set([...Object.keys(basePeers), ...Object.keys(headPeers)])) {
+    const field = `peerDependencies.${name}`;
+    const add = (description, incrementType) => changes.push({ field, description, incrementType });
+    const headOptional = isOptional(headManifest, name);
+
+    if (!(name in headPeers)) {
+      add(`peer dependency "${name}" removed`, 'minor');
+      continue;
+    }
+    if (!(name in basePeers)) {
+      if (headOptional) {
+        add(`optional peer dependency "${name}@${headPeers[name]}" added`, 'minor');
+      } else {
+        add(`required peer dependency "${name}@${headPeers[name]}" added`, 'major');
+      }
+      continue;
+    }
+
+    if (basePeers[name] !== headPeers[name]) {
+      const from = `"${basePeers[name]}"`;
+      const to = `"${headPeers[name]}"`;
+      switch (compareVersionRanges(basePeers[name], headPeers[name])) {
+        case 'equivalent':
+          add(`peer dependency "${name}" rewritten from ${from} to ${to} (same versions)`, 'patch');
+          break;
+        case 'widened':
+          add(`peer dependency "${name}" widened from ${from} to ${to}`, 'minor');
+          break;
+        case 'narrowed':
+          add(`peer dependency "${name}" narrowed from ${from} to ${to}`, 'major');
+          break;
+        default:
+          // Conservative: a range that cannot be compared may exclude versions consumers have installed
+          add(
+            `peer dependency "${name}" changed from ${from} to ${to} (not a valid semver range, assuming it was narrowed)`,
+            'major'
+          );
+      }
+    }
+
+    const baseOptional = isOptional(baseManifest, name);
+    if (baseOptional && !headOptional) {
+      add(`peer dependency "${name}" is now required`, 'major');
+    } else if (!baseOptional && headOptional) {
+      add(`peer dependency "${name}" is now optional`, 'minor');
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Compare the public contract of two package.json manifests: type, main, module, types/typings, exports, bin,
+ * engines, and peerDependencies.
+ * Each change is classified by the version increment it requires:
+ * - major: type changed, main/module/types/exports subpaths/conditions/bin commands removed, main/module/types moved
+ *   away from a file that is no longer published, exports added, engines.node narrowed, other engines added or changed,
+ *   breaking peer dependency changes (see diffPeerDependencies)
+ * - minor: exports subpaths/conditions and bin commands added, main/module/types added or moved to another file,
+ *   engines.node widened, other engines removed, non-breaking peer dependency changes
+ * - patch: export or bin targets moved to another file, ranges rewritten without changing the versions they allow
+ * @param {Object} baseManifest - package.json at the base ref
+ * @param {Object} headManifest - package.json at the head ref
+ * @param {Set<string>} unpublishedFiles - Files (relative to the package) the head ref no longer publishes,
+ *        used to tell a moved main/module/types entry point whose old path is gone from one that still resolves
+ * @returns {Array<{field: string, description: string, incrementType: string}>} Contract changes
+ */
+export function diffManifestContract(baseManifest, headManifest, unpublishedFiles = new Set()) {
+  const base = baseManifest || {};
+  const head = headManifest || {};
+  const changes = [];
+  const add = (field, description, incrementType) => changes.push({ field, description, incrementType });
+
+  // type decides how every .js file in the package is loaded
+  const baseType = base.type || 'commonjs';
+  const headType = head.type || 'commonjs';
+  if (baseType !== headType) {
+    add('type', `type changed from "${baseType}" to "${headType}"`, 'major');
+  }
+
+  for (const field of MANIFEST_ENTRY_POINT_FIELDS) {
+    const baseFile = getManifestEntryPoint(base, field);
+    const headFile = getManifestEntryPoint(head, field);
+    if (baseFile === headFile) continue;
+
+    if (headFile === undefined) {
+      add(field, `${field} entry point "${baseFile}" removed`, 'major');
+    } else if (baseFile === undefined) {
+      add(field, `${field} entry point "${headFile}" added`, 'minor');
+    } else if (unpublishedFiles.has(baseFile)) {
+      add(
+        field,
+        `${field} entry point changed from "${baseFile}" to "${headFile}", and "${baseFile}" is no longer published`,
+        'major'
+      );
+    } else {
+      add(field, `${field} entry point changed from "${baseFile}" to "${headFile}"`, 'minor');
+    }
+  }
+
+  const baseExports = normalizeExports(base.exports);
+  const headExports = normalizeExports(head.exports);
+  if (!baseExports && headExports) {
+    add('exports', 'exports field added, which blocks imports of any path it does not list', 'major');
+  } else if (baseExports && !headExports) {
+    add('exports', 'exports field removed', 'major');
+  } else if (baseExports && headExports) {
+    const subpaths = new Set([...Object.keys(baseExports), ...Object.keys(headExports)]);
+    for (const subpath of subpaths) {
+      const baseConditions = flattenExportConditions(baseExports[subpath]);
+      const headConditions = flattenExportConditions(headExports[subpath]);
+      if (baseConditions.size > 0 && headConditions.size === 0) {
+        add('exports', `exports subpath "${subpath}" removed`, 'major');
+        continue;
+      }
+      if (baseConditions.size === 0 && headConditions.size > 0) {
+        add('exports', `exports subpath "${subpath}" added`, 'minor');
+        continue;
+      }
+      const conditions = new Set([...baseConditions.keys(), ...headConditions.keys()]);
+      for (const condition of conditions) {
+        if (!headConditions.has(condition)) {
+          add('exports', `exports "${subpath}" condition "${condition}" removed`, 'major');
+        } else if (!baseConditions.has(condition)) {
+          add('exports', `exports "${subpath}" condition "${condition}" added`, 'minor');
+        } else if (baseConditions.get(condition) !== headConditions.get(condition)) {
+          add(
+            'exports',
+            `exports "${subpath}" condition "${condition}" target changed from ${baseConditions.get(condition)} to ${headConditions.get(condition)}`,
+            'patch'
+          );
+        }
+      }
+    }
+  }
+
+  const baseBin = normalizeBin(base);
+  const headBin = normalizeBin(head);
+  for (const command of new Set([...Object.keys(baseBin), ...Object.keys(headBin)])) {
+    if (!(command in headBin)) {
+      add('bin', `bin command "${command}" removed`, 'major');
+    } else if (!(command in baseBin)) {
+      add('bin', `bin command "${command}" added`, 'minor');
+    } else if (baseBin[command] !== headBin[command]) {
+      add('bin', `bin command "${command}" changed from "${baseBin[command]}" to "${headBin[command]}"`, 'patch');
+    }
+  }
+
+  const baseEngines = base.engines && typeof base.engines === 'object' ? base.engines : {};
+  const headEngines = head.engines && typeof head.engines === 'object' ? head.engines : {};
+  for (const engine of new Set([...Object.keys(baseEngines), ...Object.keys(headEngines)])) {
+    const field = `engines.${engine}`;
+    if (baseEngines[engine] === headEngines[engine]) continue;
+
+    if (engine === 'node') {
+      const { incrementType, description } = classifyNodeEnginesChange(baseEngines.node, headEngines.node);
+      add(field, description, incrementType);
+    } else if (!(engine in headEngines)) {
+      add(field, `${field} requirement "${baseEngines[engine]}" removed`, 'minor');
+    } else if (!(engine in baseEngines)) {
+      add(field, `${field} requirement "${headEngines[engine]}" added`, 'major');
+    } else {
+      add(field, `${field} changed from "${baseEngines[engine]}" to "${headEngines[engine]}"`, 'major');
+    }
+  }
+
+  changes.push(...diffPeerDependencies(base, head));
+
+  return changes;
+}
+
+/**
+ * Read the file a single-file entry point field of package.json points at.
+ * @param {Object} manifest - Parsed package.json
+ * @param {string} field - 'main', 'module', or 'types' (which falls back to 'typings')
+ * @returns {string|undefined} Normalized file path relative to the package, or undefined when the field is not set
+ */
+function getManifestEntryPoint(manifest, field) {
+  const target = field === 'types' ? (manifest.types ?? manifest.typings) : manifest[field];
+  return typeof target === 'string' ? path.posix.normalize(target) : undefined;
+}
+
+/**
+ * Find the old files of main/module/types entry points that moved and are no longer published at the head ref.
+ * A file is no longer published when it was committed at the base ref and was deleted, or when the head `files`
+ * field leaves it out (unless it is still the head main or a bin target, which npm always publishes).
+ * Build outputs that are not committed are only checked against the `files` field.
+ * @param {Object} baseManifest - package.json at the base ref
+ * @param {Object} headManifest - package.json at the head ref
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Set<string>>} Old entry point files, relative to the package, that are no longer published
+ */
+async function findUnpublishedEntryPoints(
+  baseManifest,
+  headManifest,
+  packageDir,
+  baseRef,
+  headRef,
+  octokit,
+  owner,
+  repo
+) {
+  const unpublished = new Set();
+  const alwaysPublished = [headManifest.main, ...Object.values(normalizeBin(headManifest))]
+    .filter(target => typeof target === 'string')
+    .map(target => path.posix.normalize(target));
+  const filesField = Array.isArray(headManifest.files)
+    ? headManifest.files.filter(entry => typeof entry === 'string')
+    : null;
+
+  for (const field of MANIFEST_ENTRY_POINT_FIELDS) {
+    const baseFile = getManifestEntryPoint(baseManifest, field);
+    const headFile = getManifestEntryPoint(headManifest, field);
+    if (!baseFile || !headFile || baseFile === headFile || unpublished.has(baseFile)) continue;
+    if (alwaysPublished.includes(baseFile)) continue;
+
+    const entry = filesField && findFilesEntry(filesField, baseFile);
+    if (filesField && (!entry || entry.startsWith('!'))) {
+      unpublished.add(baseFile);
+      continue;
+    }
+    const filePath = path.posix.join(packageDir, baseFile);
+    if (
+      (await getFileAtRef(filePath, baseRef, octokit, owner, repo)) !== null &&
+      (await getFileAtRef(filePath, headRef, octokit, owner, repo)) === null
+    ) {
+      unpublished.add(baseFile);
+    }
+  }
+
+  return unpublished;
+}
+
+/**
+ * Detect changes to the public contract of package.json between base and head refs.
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {string} packageJsonPath - Path to the package.json file
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changes: Array<{field: string, description: string, incrementType: string}>, incrementType: string|null}>}
+ *          The contract changes and the largest increment they require (null when nothing changed)
+ */
+export async function detectManifestContractChanges(baseRef, headRef, packageJsonPath, octokit, owner, repo) {
+  const result = { changes: [], incrementType: null };
+
+  try {
+    const baseContent = await getFileAtRef(packageJsonPath, baseRef, octokit, owner, repo);
+    const headContent = await getFileAtRef(packageJsonPath, headRef, octokit, owner, repo);
+
+    if (!baseContent || !headContent) {
+      // package.json doesn't exist at one or both refs - nothing to compare
+      return result;
+    }
+
+    const baseManifest = JSON.parse(baseContent);
+    const headManifest = JSON.parse(headContent);
+    const unpublishedFiles = await findUnpublishedEntryPoints(
+      baseManifest,
+      headManifest,
+      path.posix.dirname(packageJsonPath),
+      baseRef,
+      headRef,
+      octokit,
+      owner,
+      repo
+    );
+    result.changes = diffManifestContract(baseManifest, headManifest, unpublishedFiles);
+    for (const change of result.changes) {
+      if (compareIncrementTypes(change.incrementType, result.incrementType) > 0) {
+        result.incrementType = change.incrementType;
+      }
+    }
+
+    return result;
+  } catch (error) {
+    // Conservative: treat API and parse failures as a breaking change to avoid
+    // silently skipping a required major version bump
+    logMessage(
+      `⚠️ Could not check ${packageJsonPath} contract changes: ${error.message}. Assuming a breaking change occurred.`,
+      'warning'
+    );
+    return {
+      changes: [{ field: 'package.json', description: 'package.json could not be compared', incrementType: 'major' }],
+      incrementType: 'major'
+    };
+  }
+}
+
+/**
+ * List the public paths of a package that resolve to a file: main, module, types/typings, bin commands,
+ * and exports subpaths, including subpath patterns (e.g. './features/*') whose target matches the file.
+ * @param {Object} manifest - Parsed package.json
+ * @param {string} file - File path relative to the package
+ * @returns {string[]} Labels of the public paths (e.g. 'exports "./features/a" (import)')
+ */
+function getPublicPathsOfFile(manifest, file) {
+  const labels = [];
+  const matches = target => typeof target === 'string' && path.posix.normalize(target) === file;
+
+  if (matches(manifest.main || (manifest.exports ? null : 'index.js'))) labels.push('main');
+  for (const field of ['module', 'types', 'typings']) {
+    if (matches(manifest[field])) labels.push(field);
+  }
+  for (const [command, target] of Object.entries(normalizeBin(manifest))) {
+    if (matches(target)) labels.push(`bin "${command}"`);
+  }
+
+  const subpaths = normalizeExports(manifest.exports) || {};
+  for (const [subpath, target] of Object.entries(subpaths)) {
+    for (const [condition, serialized] of flattenExportConditions(target)) {
+      const exportTarget = JSON.parse(serialized);
+      if (typeof exportTarget !== 'string') continue;
+      const suffix = condition === 'default' ? '' : ` (${condition})`;
+
+      if (!exportTarget.includes('*')) {
+        if (matches(exportTarget)) labels.push(`exports "${subpath}"${suffix}`);
+        continue;
+      }
+      // A subpath pattern exposes every file its target matches, with '*' standing for the same string
+      const [prefix, ...rest] = path.posix.normalize(exportTarget).split('*');
+      const suffixPattern = rest.join('*');
+      if (
+        file.startsWith(prefix) &&
+        file.endsWith(suffixPattern) &&
+        file.length >= prefix.length + suffixPattern.length
+      ) {
+        const match = file.slice(prefix.length, file.length - suffixPattern.length);
+        labels.push(`exports "${subpath.replaceAll('*', match)}"${suffix}`);
+      }
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Classify renamed files by the public paths they break.
+ * A renamed file is breaking when a public path (main, module, types, bin, or exports) resolved to its old path
+ * at the base ref and no longer resolves to its new path at the head ref, whether or not its content changed too.
+ * Other renames without content changes are internal and do not affect consumers; renames that also change the
+ * content are left to the regular file checks.
+ * @param {Array<{filename: string, previousFilename: string, changes?: number}>} renames - Renamed files, relative to the repository root, with their changed line count
+ * @param {string} baseRef - Base commit SHA
+ * @param {string} headRef - Head commit SHA
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changes: Array<{field: string, description: string, incrementType: string}>, incrementType: string|null, internalRenames: string[]}>}
+ *          The breaking renames, the increment they require (null when there are none), and the new paths of the internal renames
+ */
+export async function detectRenameChanges(renames, baseRef, headRef, packageDir, octokit, owner, repo) {
+  const result = { changes: [], incrementType: null, internalRenames: [] };
+  const packageJsonPath = path.posix.join(packageDir, PACKAGE_JSON_FILENAME);
+  const toPackagePath = file => (packageDir === '.' ? file : path.posix.relative(packageDir, file));
+
+  try {
+    const baseContent = await getFileAtRef(packageJsonPath, baseRef, octokit, owner, repo);
+    const headContent = await getFileAtRef(packageJsonPath, headRef, octokit, owner, repo);
+    const baseManifest = baseContent ? JSON.parse(baseContent) : {};
+    const headManifest = headContent ? JSON.parse(headContent) : {};
+
+    for (const { filename, previousFilename, changes } of renames) {
+      const headPaths = getPublicPathsOfFile(headManifest, toPackagePath(filename));
+      const removedPaths = getPublicPathsOfFile(baseManifest, toPackagePath(previousFilename)).filter(
+        label => !headPaths.includes(label)
+      );
+      if (removedPaths.length === 0) {
+        if (!changes) {
+          result.internalRenames.push(filename);
+        }
+        continue;
+      }
+      for (const label of removedPaths) {
+        result.changes.push({
+          field: label,
+          description: `"${previousFilename}" (${label}) renamed to "${filename}"`,
+          incrementType: 'major'
+        });
+      }
+    }
+  } catch (error) {
+    // Conservative: without package.json the renames might move public paths
+    logMessage(
+      `⚠️ Could not check renamed files against ${packageJsonPath}: ${error.message}. Assuming a breaking change occurred.`,
+      'warning'
+    );
+    return {
+      changes: [{ field: 'package.json', description: 'renamed files could not be checked', incrementType: 'major' }],
+      incrementType: 'major',
+      internalRenames: []
+    };
+  }
+
+  if (result.changes.length > 0) {
+    result.incrementType = 'major';
+  }
+  return result;
+}
+
+/**
+ * Detect deleted files that consumers could reach at the base ref: through a public path (main, module, types,
+ * bin, or exports), or, when the package is published without an exports field to block deep imports, through
+ * an entry of its `files` field. Both are read from the base package.json, so files that npm merely doesn't
+ * ignore (e.g., tests, docs, or workflows in a package without a files field) never count.
+ * @param {string[]} removedFiles - Deleted file paths relative to the repository root
+ * @param {string} baseRef - Base commit SHA
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changes: Array<{field: string, description: string, incrementType: string}>, incrementType: string|null, deletedFiles: Array<{file: string, reachableThrough: string[]}>}>}
+ *          The deletions of reachable files, the increment they require (null when there are none), and every deleted file with the paths that reached it
+ */
+export async function detectDeletedFileChanges(removedFiles, baseRef, packageDir, octokit, owner, repo) {
+  const result = { changes: [], incrementType: null, deletedFiles: [] };
+  const packageJsonPath = path.posix.join(packageDir, PACKAGE_JSON_FILENAME);
+  const toPackagePath = file => (packageDir === '.' ? file : path.posix.relative(packageDir, file));
+
+  try {
+    const baseContent = await getFileAtRef(packageJsonPath, baseRef, octokit, owner, repo);
+    const baseManifest = baseContent ? JSON.parse(baseContent) : {};
+    const filesField =
+      Array.isArray(baseManifest.files) &&
+      baseManifest.private !== true &&
+      normalizeExports(baseManifest.exports) === null
+        ? baseManifest.files.filter(entry => typeof entry === 'string')
+        : null;
+
+    for (const file of removedFiles) {
+      const packageFile = toPackagePath(file);
+      const reachableThrough = baseContent ? getPublicPathsOfFile(baseManifest, packageFile) : [];
+      if (reachableThrough.length === 0 && filesField) {
+        const entry = findFilesEntry(filesField, packageFile);
+        if (entry && !entry.startsWith('!')) {
+          reachableThrough.push(`files "${entry}"`);
+        }
+      }
+      result.deletedFiles.push({ file, reachableThrough });
+      if (reachableThrough.length > 0) {
+        result.changes.push({
+          field: reachableThrough[0],
+          description: `"${file}" deleted (reachable through ${reachableThrough.join(', ')})`,
+          incrementType: 'major'
+        });
+      }
+    }
+  } catch (error) {
+    // Conservative: without package.json the deleted files might have been public
+    logMessage(
+      `⚠️ Could not check deleted files against ${packageJsonPath}: ${error.message}. Assuming a breaking change occurred.`,
+      'warning'
+    );
+    return {
+      changes: [{ field: 'package.json', description: 'deleted files could not be checked', incrementType: 'major' }],
+      incrementType: 'major',
+      deletedFiles: removedFiles.map(file => ({ file, reachableThrough: [] }))
+    };
+  }
+
+  if (result.changes.length > 0) {
+    result.incrementType = 'major';
+  }
+  return result;
+}
+
+/**
+ * Report deleted files in the job summary.
+ * @param {Array<{file: string, reachableThrough: string[]}>} deletedFiles - Deleted files and the paths that reached them
+ * @returns {Promise<void>}
+ */
+async function writeDeletedFilesSummary(deletedFiles) {
+  try {
+    await core.summary
+      .addHeading('🗑️ Deleted files', 3)
+      .addTable([
+        [
+          { data: 'File', header: true },
+          { data: 'Reachable through', header: true }
+        ],
+        ...deletedFiles.map(({ file, reachableThrough }) => [
+          `<code>${file}</code>`,
+          reachableThrough.length > 0 ? reachableThrough.join(', ') : 'Not public'
+        ])
+      ])
+      .write();
+  } catch (error) {
+    logMessage(`⚠️ Could not write the job summary: ${error.message}`, 'warning');
+  }
+}
+
+/**
+ * Report entrypoint and lifecycle hook changes of actions in the job summary.
+ * @param {Array<{action: string, field: string, description: string, incrementType: string}>} changes - Lifecycle changes
+ * @returns {Promise<void>}
+ */
+async function writeActionLifecycleSummary(changes) {
+  try {
+    await core.summary
+      .addHeading('🪝 Action lifecycle changes', 3)
+      .addTable([
+        [
+          { data: 'Action', header: true },
+          { data: 'Entry', header: true },
+          { data: 'Change', header: true },
+          { data: 'Required increment', header: true }
+        ],
+        ...changes.map(({ action, field, description, incrementType }) => [
+          `<code>${action}</code>`,
+          `<code>${field}</code>`,
+          description,
+          incrementType
+        ])
+      ])
+      .write();
+  } catch (error) {
+    logMessage(`⚠️ Could not write the job summary: ${error.message}`, 'warning');
+  }
+}
+
+/**
+ * Parse the export names of a JavaScript module without executing it.
+ * ES modules are read with es-module-lexer; CommonJS modules with cjs-module-lexer, the lexer Node.js uses
+ * to detect the named exports available to `import`. CommonJS modules always have a default export.
+ * Callers must await the lexers' init before calling this.
+ * @param {string} content - The module source
+ * @param {string} filePath - Path of the module, used to tell .mjs and .cjs files apart
+ * @param {string} packageType - The package.json type field ('module' or 'commonjs')
+ * @returns {{names: string[], reexports: string[]}} Exported names, and specifiers of `export *` / `module.exports = require()` re-exports
+ * @throws {Error} If the module cannot be lexed
+ */
+export function parseModuleExports(content, filePath, packageType = 'commonjs') {
+  const extension = path.extname(filePath);
+  if (extension !== '.cjs') {
+    const [imports, esmExports, , hasModuleSyntax] = parseEsm(content, filePath);
+    if (extension === '.mjs' || packageType === 'module' || hasModuleSyntax) {
+      return {
+        names: esmExports.map(e => e.n),
+        reexports: imports.filter(i => i.n && /^export\s*\*\s*from/.test(content.slice(i.ss, i.se))).map(i => i.n)
+      };
+    }
+  }
+
+  const { exports: cjsExports, reexports } = parseCjs(content);
+  return {
+    names: [...new Set(['default', ...cjsExports.filter(name => name !== '__esModule')])],
+    reexports
+  };
+}
+
+/**
+ * List the JavaScript entry points of a package: main, module, and each exports target.
+ * Subpath patterns and non-JavaScript targets (types, JSON, CSS) are left out.
+ * @param {Object} manifest - Parsed package.json
+ * @returns {Map<string, string>} Entry point label ('main', 'module', or e.g. 'exports "./utils" (import)') to file path relative to the package
+ */
+function getEntryPoints(manifest) {
+  const entryPoints = new Map();
+  const addEntryPoint = (label, target) => {
+    if (typeof target !== 'string' || target.includes('*')) return;
+    const file = path.posix.normalize(target);
+    if (API_SURFACE_EXTENSIONS.includes(path.extname(file))) {
+      entryPoints.set(label, file);
+    }
+  };
+
+  // Labels name the field, not the file, so an entry point moved to another file is still compared
+  addEntryPoint('main', manifest.main || (manifest.exports ? null : 'index.js'));
+  addEntryPoint('module', manifest.module);
+
+  const subpaths = normalizeExports(manifest.exports) || {};
+  for (const [subpath, target] of Object.entries(subpaths)) {
+    for (const [condition, serialized] of flattenExportConditions(target)) {
+      const suffix = condition === 'default' ? '' : ` (${condition})`;
+      addEntryPoint(`exports "${subpath}"${suffix}`, JSON.parse(serialized));
+    }
+  }
+
+  return entryPoints;
+}
+
+/**
+ * Collect the exported names of a module, following relative re-exports.
+ * Re-exports of other packages, and relative ones that cannot be resolved, are recorded as '* from "specifier"'.
+ * @param {string} filePath - Module path relative to the repository root
+ * @param {function(string): Promise<string|null>} readFile - Reads a file at the ref being analyzed
+ * @param {string} packageType - The package.json type field
+ * @param {{visited: Set<string>, truncated: boolean}} state - Modules already followed at this ref
+ * @returns {Promise<Set<string>>} Exported names
+ */
+async function collectModuleExports(filePath, readFile, packageType, state) {
+  const names = new Set();
+  if (state.visited.has(filePath)) return names;
+  if (state.visited.size >= MAX_API_SURFACE_MODULES) {
+    state.truncated = true;
+    return names;
+  }
+  state.visited.add(filePath);
+
+  const content = await readFile(filePath);
+  if (content === null) return names;
+
+  const parsed = parseModuleExports(content, filePath, packageType);
+  for (const name of parsed.names) {
+    names.add(name);
+  }
+
+  for (const specifier of parsed.reexports) {
+    let resolved = null;
+    if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      const base = path.posix.join(path.posix.dirname(filePath), specifier);
+      for (const suffix of API_SURFACE_RESOLVE_SUFFIXES) {
+        if ((await readFile(`${base}${suffix}`)) !== null) {
+          resolved = `${base}${suffix}`;
+          break;
+        }
+      }
+    }
+
+    if (!resolved) {
+      names.add(`* from "${specifier}"`);
+      continue;
+    }
+    // `export *` never re-exports the default export
+    for (const name of await collectModuleExports(resolved, readFile, packageType, state)) {
+      if (name !== 'default') names.add(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Detect exports added to or removed from the package's entry points between base and head refs.
+ * Entry points are read from main, module, and exports in package.json at each ref and matched by field,
+ * so an entry point that moved to another file is compared against the file it resolved to at the base ref.
+ * Entry points that are only present at one ref are covered by the manifest contract check and skipped here.
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {string} packageDir - Directory of the package, relative to the repository root ('.' for the root)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changes: Array<{field: string, description: string, incrementType: string}>, incrementType: string|null}>}
+ *          Removed exports (major) and added exports (minor), and the largest increment they require
+ */
+export async function detectApiSurfaceChanges(baseRef, headRef, packageDir, octokit, owner, repo) {
+  const result = { changes: [], incrementType: null };
+
+  try {
+    await initEsmLexer;
+    await initCjsLexer();
+
+    // Cache file reads per ref: re-export resolution probes the same paths for every entry point
+    const createReader = ref => {
+      const cache = new Map();
+      return filePath => {
+        if (!cache.has(filePath)) {
+          cache.set(filePath, getFileAtRef(filePath, ref, octokit, owner, repo));
+        }
+        return cache.get(filePath);
+      };
+    };
+    const readBase = createReader(baseRef);
+    const readHead = createReader(headRef);
+
+    const packageJsonPath = path.posix.join(packageDir, PACKAGE_JSON_FILENAME);
+    const baseContent = await readBase(packageJsonPath);
+    const headContent = await readHead(packageJsonPath);
+    if (!baseContent || !headContent) {
+      // package.json doesn't exist at one or both refs - nothing to compare
+      return result;
+    }
+    const baseManifest = JSON.parse(baseContent);
+    const headManifest = JSON.parse(headContent);
+    const baseEntryPoints = getEntryPoints(baseManifest);
+    const headEntryPoints = getEntryPoints(headManifest);
+
+    const baseState = { visited: new Set(), truncated: false };
+    const headState = { visited: new Set(), truncated: false };
+    const compared = new Set();
+    for (const [label, headFile] of headEntryPoints) {
+      const baseFile = baseEntryPoints.get(label);
+      // Several entry points often share a file; compare each pair of files once
+      if (!baseFile || compared.has(`${baseFile}\0${headFile}`)) continue;
+      compared.add(`${baseFile}\0${headFile}`);
+
+      const baseFilePath = path.posix.join(packageDir, baseFile);
+      const headFilePath = path.posix.join(packageDir, headFile);
+      if ((await readBase(baseFilePath)) === null || (await readHead(headFilePath)) === null) {
+        logMessage(`Debug: ${label} is not in the repository at both refs, skipping its API comparison`, 'debug');
+        continue;
+      }
+
+      baseState.visited.clear();
+      headState.visited.clear();
+      const baseNames = await collectModuleExports(baseFilePath, readBase, baseManifest.type, baseState);
+      const headNames = await collectModuleExports(headFilePath, readHead, headManifest.type, headState);
+      if (baseState.truncated || headState.truncated) {
+        logMessage(
+          `⚠️ ${label} re-exports more than ${MAX_API_SURFACE_MODULES} modules, skipping its API comparison`,
+          'warning'
+        );
+        baseState.truncated = false;
+        headState.truncated = false;
+        continue;
+      }
+
+      const describe = name => (name === 'default' ? 'default export' : `export "${name}"`);
+      for (const name of baseNames) {
+        if (!headNames.has(name)) {
+          result.changes.push({
+            field: label,
+            description: `${describe(name)} removed from ${label}`,
+            incrementType: 'major'
+          });
+        }
+      }
+      for (const name of headNames) {
+        if (!baseNames.has(name)) {
+          result.changes.push({
+            field: label,
+            description: `${describe(name)} added to ${label}`,
+            incrementType: 'minor'
+          });
+        }
+      }
+    }
+
+    for (const change of result.changes) {
+      if (compareIncrementTypes(change.incrementType, result.incrementType) > 0) {
+        result.incrementType = change.incrementType;
+      }
+    }
+    return result;
+  } catch (error) {
+    // Conservative: treat API and parse failures as a breaking change to avoid
+    // silently skipping a required major version bump
+    logMessage(
+      `⚠️ Could not compare the public API: ${error.message}. Assuming a breaking change occurred.`,
+      'warning'
+    );
+    return {
+      changes: [{ field: 'exports', description: 'public API could not be compared', incrementType: 'major' }],
+      incrementType: 'major'
+    };
+  }
+}
+
+/**
+ * List the TypeScript declaration entry points of a package: types/typings and the types conditions of exports.
+ * Without a types or typings field, the .d.ts file next to main is used, the same way TypeScript resolves it.
+ * @param {Object} manifest - Parsed package.json
+ * @returns {Map<string, string>} Entry point label ('types' or e.g. 'exports "." (import.types)') to file path relative to the package
+ */
+function getDeclarationEntryPoints(manifest) {
+  const entryPoints = new Map();
+  const isDeclarationFile = file => /\.d\.[mc]?ts$/.test(file);
+
+  // Labels name the field or exports condition, not the file, so declarations moved to another file are still compared
+  const types = manifest.types || manifest.typings;
+  if (typeof types === 'string') {
+    entryPoints.set('types', path.posix.normalize(types));
+  } else {
+    const main = typeof manifest.main === 'string' ? manifest.main : 'index.js';
+    const declaration = DECLARATION_FOR_JS_EXTENSION[path.extname(main)];
+    if (declaration) {
+      entryPoints.set('types', path.posix.normalize(main.slice(0, -path.extname(main).length) + declaration));
+    }
+  }
+
+  const subpaths = normalizeExports(manifest.exports) || {};
+  for (const [subpath, target] of Object.entries(subpaths)) {
+    for (const [condition, serialized] of flattenExportConditions(target)) {
+      const file = JSON.parse(serialized);
+      if (typeof file !== 'string' || file.includes('*')) continue;
+      if (condition === 'types' || condition.endsWith('.types') || isDeclarationFile(file)) {
+        entryPoints.set(`exports "${subpath}" (${condition})`, path.posix.normalize(file));
+      }
+    }
+  }
+
+  return entryPoints;
+}
+
+/**
+ * Parse a TypeScript declaration file and index its top-level declarations, imports, and exports.
+ * Like TypeScript, a declaration file without `export {}`, `export *`, `export =`, or `export default` of an
+ * expression exports all of its top-level declarations. Files without imports or exports are scripts, whose
+ * declarations are global.
+ * @param {string} filePath - Declaration file path relative to the repository root
+ * @param {string} content - Declaration file content
+ * @returns {Object} The indexed module: locals, imports, exports, star exports, and the specifiers it references
+ * @throws {Error} If the file has syntax errors
+ */
+function indexDeclarationModule(filePath, content) {
+  const ast = parseJavaScript(content, { sourceType: 'module', plugins: [['typescript', { dts: true }]] });
+  const declarationFile = {
+    path: filePath,
+    content,
+    comments: ast.comments,
+    program: ast.program,
+    locals: new Map(),
+    imports: new Map(),
+    exports: new Map(),
+    starExports: [],
+    specifiers: new Map(),
+    resolved: new Map(),
+    isScript: true
+  };
+  const getName = node => (node.type === 'Identifier' ? node.name : node.value);
+  const addLocal = (name, kind, node) => {
+    if (!declarationFile.locals.has(name)) declarationFile.locals.set(name, []);
+    declarationFile.locals.get(name).push({ kind, node, module: declarationFile });
+  };
+  const addDeclaration = declaration => {
+    if (declaration.type === 'VariableDeclaration') {
+      const names = declaration.declarations.filter(d => d.id.type === 'Identifier').map(d => d.id.name);
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier') addLocal(declarator.id.name, 'variable', declarator);
+      }
+      return names;
+    }
+    const kind = DECLARATION_KINDS[declaration.type];
+    // `declare module 'name'` and `declare global` augment other modules rather than declaring a name
+    if (!kind || declaration.id?.type !== 'Identifier' || declaration.global) return [];
+    addLocal(declaration.id.name, kind, declaration);
+    return [declaration.id.name];
+  };
+
+  for (const comment of ast.comments) {
+    const reference =
+      comment.type === 'CommentLine' && /^\/\s*<reference\s+path\s*=\s*["']([^"']+)["']/.exec(comment.value);
+    if (reference) declarationFile.specifiers.set(reference[1], true);
+  }
+
+  let hasExportDeclarations = false;
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        declarationFile.isScript = false;
+        declarationFile.specifiers.set(statement.source.value, false);
+        for (const specifier of statement.specifiers) {
+          const imported =
+            specifier.type === 'ImportSpecifier'
+              ? getName(specifier.imported)
+              : specifier.type === 'ImportDefaultSpecifier'
+                ? 'default'
+                : '*';
+          declarationFile.imports.set(specifier.local.name, { source: statement.source.value, imported });
+        }
+        break;
+      case 'TSImportEqualsDeclaration':
+        declarationFile.isScript = false;
+        if (statement.moduleReference.type === 'TSExternalModuleReference') {
+          const source = statement.moduleReference.expression.value;
+          declarationFile.specifiers.set(source, false);
+          declarationFile.imports.set(statement.id.name, { source, imported: '*' });
+          if (statement.isExport) declarationFile.exports.set(statement.id.name, { local: statement.id.name });
+        }
+        break;
+      case 'ExportNamedDeclaration':
+        declarationFile.isScript = false;
+        if (statement.declaration) {
+          for (const name of addDeclaration(statement.declaration)) declarationFile.exports.set(name, { local: name });
+          break;
+        }
+        hasExportDeclarations = true;
+        if (statement.source) declarationFile.specifiers.set(statement.source.value, false);
+        for (const specifier of statement.specifiers) {
+          const exported = getName(specifier.exported);
+          if (statement.source) {
+            const imported = specifier.type === 'ExportNamespaceSpecifier' ? '*' : getName(specifier.local);
+            declarationFile.exports.set(exported, { source: statement.source.value, imported });
+          } else {
+            declarationFile.exports.set(exported, { local: getName(specifier.local) });
+          }
+        }
+        break;
+      case 'ExportAllDeclaration':
+        declarationFile.isScript = false;
+        hasExportDeclarations = true;
+        declarationFile.specifiers.set(statement.source.value, false);
+        declarationFile.starExports.push(statement.source.value);
+        break;
+      case 'ExportDefaultDeclaration': {
+        declarationFile.isScript = false;
+        const { declaration } = statement;
+        if (declaration.type === 'Identifier') {
+          hasExportDeclarations = true;
+          declarationFile.exports.set('default', { local: declaration.name });
+          break;
+        }
+        const [name] = addDeclaration(declaration);
+        if (!name) addLocal(DEFAULT_EXPORT_LOCAL, DECLARATION_KINDS[declaration.type] || 'unknown', declaration);
+        declarationFile.exports.set('default', { local: name || DEFAULT_EXPORT_LOCAL });
+        break;
+      }
+      case 'TSExportAssignment':
+        declarationFile.isScript = false;
+        hasExportDeclarations = true;
+        if (statement.expression.type === 'Identifier') {
+          declarationFile.exports.set('export=', { local: statement.expression.name });
+        } else {
+          addLocal(DEFAULT_EXPORT_LOCAL, 'unknown', statement.expression);
+          declarationFile.exports.set('export=', { local: DEFAULT_EXPORT_LOCAL });
+        }
+        break;
+      default:
+        addDeclaration(statement);
+    }
+  }
+
+  if (!declarationFile.isScript && !hasExportDeclarations) {
+    for (const name of declarationFile.locals.keys()) {
+      if (!declarationFile.exports.has(name)) declarationFile.exports.set(name, { local: name });
+    }
+  }
+
+  return declarationFile;
+}
+
+/**
+ * Fetch and index a declaration file and the relative .d.ts files it imports, re-exports, or references.
+ * @param {string} filePath - Declaration file path relative to the repository root
+ * @param {function(string): Promise<string|null>} readFile - Reads a file at the ref being analyzed
+ * @param {Map<string, Object>} modules - Accumulated file path to indexed module (see indexDeclarationModule)
+ * @returns {Promise<boolean>} False if more than MAX_API_SURFACE_MODULES files would be fetched
+ */
+async function collectDeclarationModules(filePath, readFile, modules) {
+  if (modules.has(filePath)) return true;
+  if (modules.size >= MAX_API_SURFACE_MODULES) return false;
+
+  const content = await readFile(filePath);
+  if (content === null) return true;
+  const declarationFile = indexDeclarationModule(filePath, content);
+  modules.set(filePath, declarationFile);
+
+  for (const [specifier, isReference] of declarationFile.specifiers) {
+    if (!isReference && !specifier.startsWith('./') && !specifier.startsWith('../')) continue;
+
+    const base = path.posix.join(path.posix.dirname(filePath), specifier);
+    const extension = path.extname(base);
+    const candidates = DECLARATION_FOR_JS_EXTENSION[extension]
+      ? [base.slice(0, -extension.length) + DECLARATION_FOR_JS_EXTENSION[extension]]
+      : DECLARATION_RESOLVE_SUFFIXES.map(suffix => `${base}${suffix}`).filter(file => /\.d\.[mc]?ts$/.test(file));
+    for (const candidate of candidates) {
+      if ((await readFile(candidate)) !== null) {
+        declarationFile.resolved.set(specifier, candidate);
+        if (!(await collectDeclarationModules(candidate, readFile, modules))) return false;
+        break;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Create the name scope of the declaration files at one ref.
+ * A symbol is an exported or local name with its declarations. Names imported from other packages, or from
+ * relative files that are not committed, resolve to an `external` symbol described by its specifier.
+ * @param {Map<string, Object>} modules - Indexed declaration modules of the ref (see collectDeclarationModules)
+ * @returns {{getExports: function(string): Map<string, Object>}} Exports of a module by file path
+ */
+function createDeclarationScope(modules) {
+  const globals = new Map();
+  for (const declarationFile of modules.values()) {
+    if (!declarationFile.isScript) continue;
+    for (const [name, declarations] of declarationFile.locals) {
+      globals.set(name, { declarations });
+    }
+  }
+
+  const exportsCache = new Map();
+  const resolveImport = (declarationFile, specifier, imported) => {
+    const target = declarationFile.resolved.get(specifier);
+    if (!target || !modules.has(target)) {
+      return {
+        declarations: [],
+        external: imported === '*' ? `* from "${specifier}"` : `"${imported}" from "${specifier}"`
+      };
+    }
+    return imported === '*'
+      ? { declarations: [], namespace: modules.get(target) }
+      : getExports(target).get(imported) || null;
+  };
+  const resolveName = (declarationFile, name) => {
+    if (declarationFile.locals.has(name)) return { declarations: declarationFile.locals.get(name) };
+    const binding = declarationFile.imports.get(name);
+    if (binding) return resolveImport(declarationFile, binding.source, binding.imported);
+    return globals.get(name) || null;
+  };
+  const getExports = filePath => {
+    if (exportsCache.has(filePath)) return exportsCache.get(filePath);
+    const fileExports = new Map();
+    // Cached before it is filled, so circular re-exports end
+    exportsCache.set(filePath, fileExports);
+    const declarationFile = modules.get(filePath);
+    if (!declarationFile) return fileExports;
+
+    for (const [name, binding] of declarationFile.exports) {
+      const symbol =
+        binding.source === undefined
+          ? resolveName(declarationFile, binding.local)
+          : resolveImport(declarationFile, binding.source, binding.imported);
+      if (symbol) fileExports.set(name, symbol);
+    }
+    for (const specifier of declarationFile.starExports) {
+      const target = declarationFile.resolved.get(specifier);
+      if (!target || !modules.has(target)) {
+        fileExports.set(`* from "${specifier}"`, { declarations: [], external: `* from "${specifier}"` });
+        continue;
+      }
+      // `export *` never re-exports the default export, and local exports take precedence
+      for (const [name, symbol] of getExports(target)) {
+        if (name !== 'default' && !fileExports.has(name)) fileExports.set(name, symbol);
+      }
+    }
+    return fileExports;
+  };
+
+  return { getExports };
+}
+
+/**
+ * Print a declaration node as written, without comments and with whitespace collapsed.
+ * @param {Object} node - Syntax node
+ * @param {Object} declarationFile - Indexed module the node belongs to (see indexDeclarationModule)
+ * @returns {string} The printed node
+ */
+function printDeclarationNode(node, declarationFile) {
+  let text = '';
+  let position = node.start;
+  for (const comment of declarationFile.comments) {
+    if (comment.start >= node.start && comment.end <= node.end) {
+      text += declarationFile.content.slice(position, comment.start);
+      position = comment.end;
+    }
+  }
+  text += declarationFile.content.slice(position, node.end);
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compare two type annotations by their union members: a type whose members are a superset of the base is
+ * wider, and a subset is narrower. Types are not resolved, so any other change can't be classified.
+ * @param {Object|null} baseType - Base type annotation node (null when it is implicitly any)
+ * @param {Object|null} headType - Head type annotation node
+ * @returns {'same'|'widened'|'narrowed'|'unknown'} How the head type relates to the base type
+ */
+function compareUnionMembers(baseType, headType) {
+  const getMembers = type => {
+    let node = type;
+    while (node && (node.type === 'TSTypeAnnotation' || node.type === 'TSParenthesizedType')) {
+      node = node.typeAnnotation;
+    }
+    if (!node) return new Set(['any']);
+    const members = node.type === 'TSUnionType' ? node.types : [node];
+    return new Set(members.map(member => serializeSyntaxTree(member)));
+  };
+  const baseMembers = getMembers(baseType);
+  const headMembers = getMembers(headType);
+  const headHasAll = [...baseMembers].every(member => headMembers.has(member));
+  const baseHasAll = [...headMembers].every(member => baseMembers.has(member));
+  if (headHasAll && baseHasAll) return 'same';
+  if (headHasAll) return 'widened';
+  if (baseHasAll) return 'narrowed';
+  return 'unknown';
+}
+
+/**
+ * Compare the parameters and return type of a function, method, or constructor signature.
+ * Narrowed parameters, widened return types, and removed or newly required parameters break callers;
+ * added optional parameters are minor, and widened parameters or narrowed return types are patch changes.
+ * Type changes that are not a plain widening or narrowing of union members are reported as unknown.
+ * @param {string} name - Name of the function or member, used in descriptions
+ * @param {{node: Object, module: Object}} base - Base signature node and its module
+ * @param {{node: Object, module: Object}} head - Head signature node and its module
+ * @returns {Array<{description: string, incrementType: string}>} The signature changes
+ */
+function compareSignatures(name, base, head) {
+  const print = (node, from) => (node ? printDeclarationNode(node, from.module) : 'any');
+  const getTypeParameters = ({ node }) => (node.typeParameters ? serializeSyntaxTree(node.typeParameters) : '');
+  if (getTypeParameters(base) !== getTypeParameters(head)) {
+    return [
+      { description: `type parameters of "${name}" changed and could not be compared`, incrementType: 'unknown' }
+    ];
+  }
+
+  const getParameters = ({ node }) =>
+    (node.params ?? node.parameters).map(param => {
+      const parameter = param.type === 'TSParameterProperty' ? param.parameter : param;
+      const target = parameter.type === 'AssignmentPattern' ? parameter.left : parameter;
+      return {
+        name: target.type === 'RestElement' ? target.argument.name : target.name || 'param',
+        rest: target.type === 'RestElement',
+        optional: Boolean(target.optional) || parameter.type === 'AssignmentPattern',
+        type: target.typeAnnotation?.typeAnnotation ?? null
+      };
+    });
+  const baseParameters = getParameters(base);
+  const headParameters = getParameters(head);
+  const changes = [];
+  const add = (description, incrementType) => changes.push({ description, incrementType });
+
+  for (let i = 0; i < Math.max(baseParameters.length, headParameters.length); i++) {
+    const baseParameter = baseParameters[i];
+    const headParameter = headParameters[i];
+    if (!headParameter) {
+      add(`parameter "${baseParameter.name}" removed from "${name}"`, 'major');
+      continue;
+    }
+    if (!baseParameter) {
+      if (headParameter.optional || headParameter.rest) {
+        add(`optional parameter "${headParameter.name}" added to "${name}"`, 'minor');
+      } else {
+        add(`required parameter "${headParameter.name}" added to "${name}"`, 'major');
+      }
+      continue;
+    }
+    const label = `parameter "${headParameter.name}" of "${name}"`;
+    if (baseParameter.rest !== headParameter.rest) {
+      add(`${label} changed and could not be compared`, 'unknown');
+      continue;
+    }
+    if (baseParameter.optional && !headParameter.optional) add(`${label} made required`, 'major');
+    if (!baseParameter.optional && headParameter.optional) add(`${label} made optional`, 'patch');
+
+    const from = `from "${print(baseParameter.type, base)}" to "${print(headParameter.type, head)}"`;
+    const relation = compareUnionMembers(baseParameter.type, headParameter.type);
+    if (relation === 'narrowed') add(`${label} narrowed ${from}`, 'major');
+    if (relation === 'widened') add(`${label} widened ${from}`, 'patch');
+    if (relation === 'unknown') add(`${label} changed ${from} and could not be compared`, 'unknown');
+  }
+
+  const getReturnType = ({ node }) => (node.returnType ?? node.typeAnnotation)?.typeAnnotation ?? null;
+  // Constructors have no return type
+  if (base.node.kind !== 'constructor') {
+    const baseReturn = getReturnType(base);
+    const headReturn = getReturnType(head);
+    const from = `from "${print(baseReturn, base)}" to "${print(headReturn, head)}"`;
+    const relation = compareUnionMembers(baseReturn, headReturn);
+    if (relation === 'widened') add(`return type of "${name}" widened ${from}`, 'major');
+    if (relation === 'narrowed') add(`return type of "${name}" narrowed ${from}`, 'patch');
+    if (relation === 'unknown') add(`return type of "${name}" changed ${from} and could not be compared`, 'unknown');
+  }
+
+  return changes;
+}
+
+/**
+ * Index the members of an interface, object type literal, class, or enum by name. Private and protected
+ * class members are skipped. Members without a plain name (index, call, and construct signatures, and
+ * computed keys) are collected separately, since they can only be compared as a whole.
+ * @param {Object[]} nodes - Member nodes
+ * @returns {{members: Map<string, {method: boolean, optional: boolean, nodes: Object[]}>, other: string}}
+ *          Named members, with overloads grouped, and the serialized unnamed members
+ */
+function indexDeclarationMembers(nodes) {
+  const members = new Map();
+  const other = [];
+  for (const member of nodes) {
+    if (member.accessibility === 'private' || member.accessibility === 'protected') continue;
+    if (member.type === 'ClassPrivateProperty' || member.type === 'ClassPrivateMethod') continue;
+    const key = member.key ?? member.id;
+    if (!key || member.computed) {
+      other.push(serializeSyntaxTree(member));
+      continue;
+    }
+    const name = `${member.static ? 'static ' : ''}${key.type === 'Identifier' ? key.name : String(key.value)}`;
+    if (!members.has(name)) {
+      members.set(name, {
+        method: ['TSMethodSignature', 'TSDeclareMethod', 'ClassMethod'].includes(member.type),
+        optional: Boolean(member.optional),
+        nodes: []
+      });
+    }
+    members.get(name).nodes.push(member);
+  }
+  return { members, other: other.join('\n') };
+}
+
+/**
+ * Compare the members of an exported interface, object type, class, or enum.
+ * A removed member breaks consumers. An added member is minor, except a required member of an interface or
+ * object type, which breaks code that implements it. A changed method signature is compared with
+ * compareSignatures; a property made required is breaking, and other member changes are reported as unknown.
+ * @param {string} name - Export name
+ * @param {string} kind - Declaration kind ('interface', 'typeAlias', 'class', or 'enum')
+ * @param {{nodes: Object[], module: Object}} base - Base member nodes and their module
+ * @param {{nodes: Object[], module: Object}} head - Head member nodes and their module
+ * @returns {Array<{description: string, incrementType: string}>} The member changes
+ */
+function compareDeclarationMembers(name, kind, base, head) {
+  const { members: baseMembers, other: baseOther } = indexDeclarationMembers(base.nodes);
+  const { members: headMembers, other: headOther } = indexDeclarationMembers(head.nodes);
+  const implementable = kind === 'interface' || kind === 'typeAlias';
+  const changes = [];
+  const add = (description, incrementType) => changes.push({ description, incrementType });
+  const describe = (member, memberName) =>
+    `${kind === 'enum' ? 'enum member' : member.method ? 'method' : 'property'} "${name}.${memberName}"`;
+
+  for (const [memberName, member] of baseMembers) {
+    if (!headMembers.has(memberName)) add(`${describe(member, memberName)} removed`, 'major');
+  }
+  for (const [memberName, member] of headMembers) {
+    const baseMember = baseMembers.get(memberName);
+    if (!baseMember) {
+      const required = implementable && !member.optional;
+      add(`${required ? 'required ' : ''}${describe(member, memberName)} added`, required ? 'major' : 'minor');
+      continue;
+    }
+
+    const serialize = ({ nodes }) => nodes.map(node => serializeSyntaxTree(node)).join('\n');
+    if (serialize(baseMember) === serialize(member)) continue;
+    if (member.method && baseMember.method && member.nodes.length === 1 && baseMember.nodes.length === 1) {
+      changes.push(
+        ...compareSignatures(
+          `${name}.${memberName}`,
+          { node: baseMember.nodes[0], module: base.module },
+          { node: member.nodes[0], module: head.module }
+        )
+      );
+      continue;
+    }
+    const withoutOptional = ({ nodes }) =>
+      nodes.map(node => serializeSyntaxTree({ ...node, optional: undefined })).join('\n');
+    if (baseMember.optional && !member.optional && withoutOptional(baseMember) === withoutOptional(member)) {
+      add(`${describe(member, memberName)} made required`, 'major');
+      continue;
+    }
+    add(`${describe(member, memberName)} changed and could not be compared`, 'unknown');
+  }
+
+  if (baseOther !== headOther) {
+    add(`index, call, or construct signatures of "${name}" changed and could not be compared`, 'unknown');
+  }
+  return changes;
+}
+
+/**
+ * Compare an export of the declaration files at two refs by its declarations' names and signatures:
+ * function parameters and return types, the members of interfaces, object types, classes, and enums, and the
+ * types of variables. Types are not resolved, so a change that isn't one of these, such as a rewritten type
+ * alias, a namespace, or a symbol that changes kind, is reported with the increment 'unknown'.
+ * @param {string} name - Export name
+ * @param {Object} baseSymbol - Base symbol (see createDeclarationScope)
+ * @param {Object} headSymbol - Head symbol
+ * @returns {Array<{description: string, incrementType: string}>} The changes, empty when the export is unchanged
+ */
+function compareDeclarationSymbols(name, baseSymbol, headSymbol) {
+  const serialize = symbol =>
+    symbol.external ??
+    (symbol.namespace ? `* as ${symbol.namespace.path}` : null) ??
+    symbol.declarations.map(({ kind, node }) => `${kind} ${serializeSyntaxTree(node)}`).join('\n');
+  if (serialize(baseSymbol) === serialize(headSymbol)) return [];
+
+  const unknown = [{ description: `export "${name}" changed and could not be compared`, incrementType: 'unknown' }];
+  const getKind = symbol => {
+    const kinds = new Set(symbol.declarations.map(declaration => declaration.kind));
+    return !symbol.external && !symbol.namespace && kinds.size === 1 ? [...kinds][0] : null;
+  };
+  const kind = getKind(baseSymbol);
+  if (!kind || kind !== getKind(headSymbol)) return unknown;
+
+  const [base] = baseSymbol.declarations;
+  const [head] = headSymbol.declarations;
+  // Overloaded functions and merged declarations can't be matched up one to one
+  const single = baseSymbol.declarations.length === 1 && headSymbol.declarations.length === 1;
+  const sameText = key => serializeSyntaxTree(base.node[key] ?? null) === serializeSyntaxTree(head.node[key] ?? null);
+  let changes = unknown;
+
+  if (kind === 'function' && single) {
+    changes = compareSignatures(name, base, head);
+  } else if (kind === 'variable' && single) {
+    const baseType = base.node.id.typeAnnotation?.typeAnnotation ?? null;
+    const headType = head.node.id.typeAnnotation?.typeAnnotation ?? null;
+    const from = `from "${baseType ? printDeclarationNode(baseType, base.module) : 'any'}" to "${headType ? printDeclarationNode(headType, head.module) : 'any'}"`;
+    const relation = compareUnionMembers(baseType, headType);
+    changes =
+      relation === 'widened'
+        ? [{ description: `type of "${name}" widened ${from}`, incrementType: 'major' }]
+        : relation === 'narrowed'
+          ? [{ description: `type of "${name}" narrowed ${from}`, incrementType: 'patch' }]
+          : relation === 'unknown'
+            ? [{ description: `type of "${name}" changed ${from} and could not be compared`, incrementType: 'unknown' }]
+            : [];
+  } else if (kind === 'interface' && single && sameText('typeParameters') && sameText('extends')) {
+    changes = compareDeclarationMembers(
+      name,
+      kind,
+      { nodes: base.node.body.body, module: base.module },
+      { nodes: head.node.body.body, module: head.module }
+    );
+  } else if (
+    kind === 'typeAlias' &&
+    single &&
+    sameText('typeParameters') &&
+    base.node.typeAnnotation.type === 'TSTypeLiteral' &&
+    head.node.typeAnnotation.type === 'TSTypeLiteral'
+  ) {
+    changes = compareDeclarationMembers(
+      name,
+      kind,
+      { nodes: base.node.typeAnnotation.members, module: base.module },
+      { nodes: head.node.typeAnnotation.members, module: head.module }
+    );
+  } else if (
+    kind === 'class' &&
+    single &&
+    sameText('typeParameters') &&
+    sameText('superClass') &&
+    sameText('implements')
+  ) {
+    changes = compareDeclarationMembers(
+      name,
+      kind,
+      { nodes: base.node.body.body, module: base.module },
+      { nodes: head.node.body.body, module: head.module }
+    );
+  } else if (kind === 'enum' && single && base.node.const === head.node.const) {
+    changes = compareDeclarationMembers(
+      name,
+      kind,
+      { nodes: base.node.body?.members ?? base.node.members, module: base.module },
+      { nodes: head.node.body?.members ?? head.node.members, module: head.module }
+    );
+  }
+
+  // Changes that keep every name and signature, such as a renamed parameter
+  return changes.length > 0 ? changes : [{ description: `declaration of "${name}" changed`, incrementType: 'patch' }];
+}
+
+/**
+ * Detect changes to the exported TypeScript declarations of the package between base and head refs.
+ * Declaration entry points are read from types/typings and the types conditions of exports in package.json.
+ * The declaration files at both refs are parsed with @babel/parser, following relative imports, re-exports,
+ * and reference paths, and each export is compared by its name and signature (see compareDeclarationSymbols).
+ * Changes that can't be classified without resolving types have the increment 'unknown' and don't count
+ * toward the required increment.
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {string} packageDir - Directory of the package, relative to the repository root ('.' for the root)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<{changes: Array<{field: string, description: string, incrementType: string}>, incrementType: string|null}>}
+ *          Breaking changes (major), additions (minor), compatible changes (patch), and changes that could not be
+ *          compared (unknown), and the largest increment the classified changes require
+ */
+export async function detectTypeDeclarationChanges(baseRef, headRef, packageDir, octokit, owner, repo) {
+  const result = { changes: [], incrementType: null };
+
+  try {
+    const createReader = ref => {
+      const cache = new Map();
+      return filePath => {
+        if (!cache.has(filePath)) {
+          cache.set(filePath, getFileAtRef(filePath, ref, octokit, owner, repo));
+        }
+        return cache.get(filePath);
+      };
+    };
+    const readBase = createReader(baseRef);
+    const readHead = createReader(headRef);
+
+    const packageJsonPath = path.posix.join(packageDir, PACKAGE_JSON_FILENAME);
+    const baseContent = await readBase(packageJsonPath);
+    const headContent = await readHead(packageJsonPath);
+    if (!baseContent || !headContent) {
+      // package.json doesn't exist at one or both refs - nothing to compare
+      return result;
+    }
+    const baseEntryPoints = getDeclarationEntryPoints(JSON.parse(baseContent));
+    const headEntryPoints = getDeclarationEntryPoints(JSON.parse(headContent));
+
+    // Entry points present at both refs, with their declaration files at both refs
+    const entryPoints = [];
+    for (const [label, headFile] of headEntryPoints) {
+      const baseFile = baseEntryPoints.get(label);
+      if (!baseFile) continue;
+      const baseFilePath = path.posix.join(packageDir, baseFile);
+      const headFilePath = path.posix.join(packageDir, headFile);
+      if ((await readBase(baseFilePath)) === null || (await readHead(headFilePath)) === null) {
+        logMessage(
+          `Debug: ${label} is not in the repository at both refs, skipping its declaration comparison`,
+          'debug'
+        );
+        continue;
+      }
+      entryPoints.push({ label, baseFilePath, headFilePath });
+    }
+    if (entryPoints.length === 0) {
+      return result;
+    }
+
+    const baseModules = new Map();
+    const headModules = new Map();
+    for (const { baseFilePath, headFilePath } of entryPoints) {
+      if (
+        !(await collectDeclarationModules(baseFilePath, readBase, baseModules)) ||
+        !(await collectDeclarationModules(headFilePath, readHead, headModules))
+      ) {
+        logMessage(
+          `⚠️ Declarations import more than ${MAX_API_SURFACE_MODULES} files, skipping the declaration comparison`,
+          'warning'
+        );
+        return result;
+      }
+    }
+    const baseScope = createDeclarationScope(baseModules);
+    const headScope = createDeclarationScope(headModules);
+
+    const compared = new Set();
+    for (const { label, baseFilePath, headFilePath } of entryPoints) {
+      // Several entry points often share a file; compare each pair of files once
+      if (compared.has(`${baseFilePath}\0${headFilePath}`)) continue;
+      compared.add(`${baseFilePath}\0${headFilePath}`);
+
+      const baseExports = baseScope.getExports(baseFilePath);
+      const headExports = headScope.getExports(headFilePath);
+      const add = (description, incrementType) => result.changes.push({ field: label, description, incrementType });
+      for (const [name, baseSymbol] of baseExports) {
+        if (!headExports.has(name)) {
+          add(`export "${name}" removed from ${label}`, 'major');
+          continue;
+        }
+        for (const change of compareDeclarationSymbols(name, baseSymbol, headExports.get(name))) {
+          add(`${change.description} in ${label}`, change.incrementType);
+        }
+      }
+      for (const name of headExports.keys()) {
+        if (!baseExports.has(name)) {
+          add(`export "${name}" added to ${label}`, 'minor');
+        }
+      }
+    }
+
+    for (const change of result.changes) {
+      if (change.incrementType !== 'unknown' && compareIncrementTypes(change.incrementType, result.incrementType) > 0) {
+        result.incrementType = change.incrementType;
+      }
+    }
+    return result;
+  } catch (error) {
+    // Without the declarations there is nothing to classify; report it rather than guess an increment
+    logMessage(`⚠️ Could not compare the type declarations: ${error.message}.`, 'warning');
+    return {
+      changes: [{ field: 'types', description: 'type declarations could not be compared', incrementType: 'unknown' }],
+      incrementType: null
+    };
+  }
+}
+
+/**
+ * Apply the JSX whitespace rules to a JSX text node: lines are trimmed where they meet a line break,
+ * and lines left empty are dropped, so re-wrapping JSX text does not change the rendered output.
+ * @param {string} text - Raw JSX text
+ * @returns {string} The text as rendered
+ */
+function normalizeJsxText(text) {
+  const lines = text.split(/\r\n|\n|\r/);
+  return lines
+    .map((line, index) => {
+      let result = line;
+      if (index > 0) result = result.trimStart();
+      if (index < lines.length - 1) result = result.trimEnd();
+      return result;
+    })
+    .filter(line => line !== '')
+    .join(' ');
+}
+
+/**
+ * Serialize the syntax tree of a JavaScript or TypeScript file without comments and formatting.
+ * The tree is parsed with @babel/parser, which records structure only: string literals keep their value but
+ * not their quotes, and trailing commas, statement-ending semicolons, and redundant parentheses leave no node.
+ * Positions, comments, and the raw source text of literals are dropped. Parentheses that change the tree are
+ * kept, such as around an optional chain where they stop the short-circuit (`(a?.b).c`).
+ * @param {string} content - Source file content
+ * @param {string} filePath - File path, used to pick the syntax plugins (e.g. TypeScript and JSX for .tsx)
+ * @returns {string|null} The serialized tree, or null if the file has syntax errors
+ */
+function serializeCode(content, filePath) {
+  const extension = path.extname(filePath);
+  const plugins = FORMATTING_CHECK_TYPESCRIPT_EXTENSIONS.includes(extension) ? ['typescript'] : ['jsx'];
+  if (extension === '.tsx') plugins.push('jsx');
+
+  let ast;
+  try {
+    ast = parseJavaScript(content, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      plugins
+    });
+  } catch {
+    return null;
+  }
+
+  return serializeSyntaxTree(ast.program);
+}
+
+/**
+ * Serialize a @babel/parser syntax tree node without positions, comments, raw source text of literals,
+ * and parentheses around types. JSX text is serialized as rendered (see normalizeJsxText).
+ * @param {object} node - Syntax tree node
+ * @returns {string} The serialized node
+ */
+function serializeSyntaxTree(node) {
+  return JSON.stringify(node, (key, value) => {
+    if (SYNTAX_TREE_IGNORED_KEYS.has(key)) return undefined;
+    if (Array.isArray(value)) {
+      // Whitespace-only JSX text between elements is not rendered
+      return value.filter(child => child?.type !== 'JSXText' || normalizeJsxText(child.value) !== '');
+    }
+    let result = value;
+    while (result?.type === 'TSParenthesizedType') result = result.typeAnnotation;
+    if (result?.type === 'JSXText') {
+      return { type: 'JSXText', value: normalizeJsxText(result.value) };
+    }
+    return result;
+  });
+}
+
+/**
+ * Find the changed files whose code is the same at the base and head of the PR, because only comments or
+ * formatting changed. Files are compared in order until one has a code change: that file already requires
+ * a version check, so the remaining files are not fetched. Added, removed, unparsable, and
+ * non-JavaScript/TypeScript files count as code changes.
+ * @param {string[]} files - Relevant changed file paths relative to the repository root
+ * @param {string} baseRef - Base commit SHA
+ * @param {string} headRef - Head commit SHA
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string[]>} The files with only comment or formatting changes
+ */
+export async function getFormattingOnlyFiles(files, baseRef, headRef, octokit, owner, repo) {
+  const formattingOnly = [];
 
-    result.baseVersion = parseNodeRuntime(baseContent);
-    result.headVersion = parseNodeRuntime(headContent);
+  for (const file of files) {
+    if (!FORMATTING_CHECK_EXTENSIONS.includes(path.extname(file))) {
+      return formattingOnly;
+    }
 
-    if (result.baseVersion !== null && result.headVersion !== null && result.baseVersion !== result.headVersion) {
-      result.changed = true;
+    let baseContent;
+    let headContent;
+    try {
+      baseContent = await getFileAtRef(file, baseRef, octokit, owner, repo);
+      headContent = await getFileAtRef(file, headRef, octokit, owner, repo);
+    } catch (error) {
+      // Conservative: a file that cannot be compared counts as a code change
+      logMessage(`⚠️ Could not compare ${file}: ${error.message}. Assuming its code changed.`, 'warning');
+      return formattingOnly;
+    }
+    if (baseContent === null || headContent === null) {
+      return formattingOnly;
     }
 
-    return result;
-  } catch (error) {
-    // Conservative: treat API failures as a potential change to avoid
-    // silently skipping a required major version bump
-    logMessage(`⚠️ Could not check action.yml runtime change: ${error.message}. Assuming change occurred.`, 'warning');
-    return { changed: true, baseVersion: null, headVersion: null };
+    const baseCode = serializeCode(baseContent, file);
+    const headCode = serializeCode(headContent, file);
+    if (baseCode === null || headCode === null || baseCode !== headCode) {
+      logMessage(`Debug: ${file} has code changes`, 'debug');
+      return formattingOnly;
+    }
+    formattingOnly.push(file);
   }
+
+  return formattingOnly;
 }
 
 /**
@@ -943,11 +4142,105 @@ export function isMajorVersionBump(currentVersion, previousVersion) {
   return !isNaN(currentMajor) && !isNaN(previousMajor) && currentMajor > previousMajor;
 }
 
+/**
+ * Compare two version increment types.
+ * @param {string|null} a - Increment type ('patch', 'minor', 'major') or null for none
+ * @param {string|null} b - Increment type ('patch', 'minor', 'major') or null for none
+ * @returns {number} Negative if a is smaller than b, positive if larger, 0 if equal
+ */
+export function compareIncrementTypes(a, b) {
+  return INCREMENT_TYPES.indexOf(a) - INCREMENT_TYPES.indexOf(b);
+}
+
+/**
+ * Parse a commit message as a Conventional Commit.
+ * @param {string} message - The full commit message
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string}|null}
+ *          The parsed header, or null if the message is not a Conventional Commit
+ */
+export function parseConventionalCommit(message) {
+  if (!message || typeof message !== 'string') return null;
+
+  const [header, ...bodyLines] = message.split(/\r?\n/);
+  const match = header.trim().match(CONVENTIONAL_COMMIT_HEADER_PATTERN);
+  if (!match) return null;
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: match[3] === '!' || BREAKING_CHANGE_FOOTER_PATTERN.test(bodyLines.join('\n')),
+    description: match[4]
+  };
+}
+
+/**
+ * Get the version increment a parsed Conventional Commit calls for.
+ * @param {{type: string, breaking: boolean}} parsed - Result of parseConventionalCommit
+ * @returns {string} 'major' for breaking changes, 'minor' for feat, otherwise 'patch'
+ */
+function getConventionalIncrementType(parsed) {
+  if (parsed.breaking) return 'major';
+  if (parsed.type === 'feat') return 'minor';
+  return 'patch';
+}
+
+/**
+ * Parse a pull request title as the Conventional Commit it becomes when squash-merged.
+ * When a body is given, a BREAKING CHANGE footer or heading in it also marks the change as breaking.
+ * @param {string} title - The pull request title
+ * @param {string|null} body - The pull request body, or null to only check the title
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string, incrementType: string}|null}
+ *          The parsed title with the increment it requires, or null if the title is not a Conventional Commit
+ */
+export function parsePullRequestTitle(title, body = null) {
+  const parsed = parseConventionalCommit(typeof title === 'string' ? title.split(/\r?\n/)[0] : title);
+  if (!parsed) return null;
+
+  if (body && typeof body === 'string' && PR_BODY_BREAKING_CHANGE_PATTERN.test(body)) {
+    parsed.breaking = true;
+  }
+
+  return { ...parsed, incrementType: getConventionalIncrementType(parsed) };
+}
+
+/**
+ * Determine the smallest version increment required by a set of Conventional Commits.
+ * Breaking changes require a major bump, feat commits a minor bump, and any other
+ * Conventional Commit a patch bump. Messages that are not Conventional Commits are ignored.
+ * @param {Array<{sha: string, message: string}>} commits - Commits to analyze
+ * @returns {{incrementType: string|null, commit: {sha: string, message: string}|null}}
+ *          The required increment and the first commit that requires it (null when no commit is conventional)
+ */
+export function getRequiredIncrementType(commits) {
+  const result = { incrementType: null, commit: null };
+
+  for (const commit of commits) {
+    const parsed = parseConventionalCommit(commit.message);
+    if (!parsed) continue;
+
+    const incrementType = getConventionalIncrementType(parsed);
+    logMessage(
+      `Debug: Commit ${commit.sha.substring(0, 7)} (${parsed.type}) requires a ${incrementType} bump`,
+      'debug'
+    );
+
+    if (compareIncrementTypes(incrementType, result.incrementType) > 0) {
+      result.incrementType = incrementType;
+      result.commit = commit;
+    }
+  }
+
+  return result;
+}
+
 /**
  * Check if any JavaScript/TypeScript or package files were changed (excluding test files)
+ * @param {string[]} changedFiles - File paths (relative to the package directory)
+ * @param {Object} rules - Configured path rules (see classifyFile)
+ * @returns {boolean} True if any file is relevant
  */
-export function hasRelevantFileChanges(changedFiles) {
-  return changedFiles.some(file => isRelevantFile(file));
+export function hasRelevantFileChanges(changedFiles, rules = {}) {
+  return changedFiles.some(file => isRelevantFile(file, rules));
 }
 
 /**
@@ -980,17 +4273,19 @@ export function readPackageJson(packagePath) {
 }
 
 /**
- * Validates that package.json and package-lock.json have consistent versions.
- * This prevents issues where one file is updated but the other is not.
+ * Validates that package.json and its lockfiles (package-lock.json, npm-shrinkwrap.json, or the root
+ * workspace entry of bun.lock) have consistent versions. This prevents issues where one file is updated
+ * but the other is not. Every lockfile present next to package.json is checked.
  *
  * @param {string} packagePath - Path to the package.json file
- * @returns {{isValid: boolean, packageVersion: string|null, lockVersion: string|null, error: string|null}} Validation result
+ * @returns {{isValid: boolean, packageVersion: string|null, lockVersion: string|null, lockFile: string|null, error: string|null}} Validation result (lockFile/lockVersion describe the mismatched lockfile, or the first one checked)
  */
 export function validatePackageVersionConsistency(packagePath) {
   const result = {
     isValid: true,
     packageVersion: null,
     lockVersion: null,
+    lockFile: null,
     error: null
   };
 
@@ -1006,26 +4301,36 @@ export function validatePackageVersionConsistency(packagePath) {
     const packageJson = JSON.parse(packageContent);
     result.packageVersion = packageJson.version || null;
 
-    // Derive package-lock.json path from package.json path
+    // Find the lockfiles next to package.json that record the project version
     const packageDir = path.dirname(packagePath);
-    const lockPath = path.join(packageDir, PACKAGE_LOCK_JSON_FILENAME);
+    const lockfiles = VERSIONED_LOCKFILES.filter(({ filename }) => fs.existsSync(path.join(packageDir, filename)));
 
-    // Check if package-lock.json exists
-    if (!fs.existsSync(lockPath)) {
-      // package-lock.json doesn't exist - this is acceptable, some projects don't use it
-      logMessage('ℹ️ No package-lock.json found, skipping version consistency check', 'debug');
+    if (lockfiles.length === 0) {
+      // No lockfile - this is acceptable, some projects don't use one
+      logMessage(
+        'ℹ️ No package-lock.json, npm-shrinkwrap.json, or bun.lock found, skipping version consistency check',
+        'debug'
+      );
       return result;
     }
 
-    // Read package-lock.json
-    const lockContent = fs.readFileSync(lockPath, 'utf8');
-    const lockJson = JSON.parse(lockContent);
-    result.lockVersion = lockJson.version || null;
+    for (const lockfile of lockfiles) {
+      // Read the lockfile version
+      const lockContent = fs.readFileSync(path.join(packageDir, lockfile.filename), 'utf8');
+      const lockVersion = lockfile.readVersion(lockContent) || null;
+      if (!result.lockFile) {
+        result.lockFile = lockfile.filename;
+        result.lockVersion = lockVersion;
+      }
 
-    // Compare versions
-    if (result.packageVersion && result.lockVersion && result.packageVersion !== result.lockVersion) {
-      result.isValid = false;
-      result.error = `Version mismatch: package.json has version "${result.packageVersion}" but package-lock.json has version "${result.lockVersion}". Run 'npm install' to sync the versions.`;
+      // Compare versions
+      if (result.packageVersion && lockVersion && result.packageVersion !== lockVersion) {
+        result.isValid = false;
+        result.lockFile = lockfile.filename;
+        result.lockVersion = lockVersion;
+        result.error = `Version mismatch: package.json has version "${result.packageVersion}" but ${lockfile.filename} has version "${lockVersion}". Run '${lockfile.installCommand}' to sync the versions.`;
+        return result;
+      }
     }
 
     return result;
@@ -1041,6 +4346,35 @@ export function validatePackageVersionConsistency(packagePath) {
   }
 }
 
+/**
+ * Resolve a tag-prefix input into the literal prefix of a package's version tags.
+ * Besides a plain prefix (e.g. 'v'), the input may be a template with a `{name}` placeholder for the
+ * package.json name and an optional trailing `{version}` placeholder, such as '{name}@{version}' for
+ * tags like '@scope/pkg@1.2.3' or '{name}-v{version}' for tags like 'pkg-v1.2.3'.
+ *
+ * @param {string} tagPrefix - The tag-prefix input (plain prefix or template)
+ * @param {string|null} packageName - The package.json name used for the `{name}` placeholder
+ * @returns {string} The literal tag prefix for the package
+ * @throws {Error} If `{version}` is not at the end of the template, or `{name}` is used without a package name
+ */
+export function resolveTagPrefix(tagPrefix, packageName) {
+  let prefix = tagPrefix;
+  if (prefix.endsWith(TAG_VERSION_PLACEHOLDER)) {
+    prefix = prefix.slice(0, -TAG_VERSION_PLACEHOLDER.length);
+  }
+  if (prefix.includes(TAG_VERSION_PLACEHOLDER)) {
+    throw new Error(`Invalid tag-prefix "${tagPrefix}": ${TAG_VERSION_PLACEHOLDER} must be at the end of the template`);
+  }
+
+  if (prefix.includes(TAG_NAME_PLACEHOLDER)) {
+    if (!packageName) {
+      throw new Error(`tag-prefix "${tagPrefix}" uses ${TAG_NAME_PLACEHOLDER} but package.json has no name field`);
+    }
+    prefix = prefix.split(TAG_NAME_PLACEHOLDER).join(packageName);
+  }
+  return prefix;
+}
+
 /**
  * Retrieves the latest version tag from the repository using the GitHub API.
  *
@@ -1133,88 +4467,563 @@ export function isSequentialVersion(current, previous) {
   const { major: curMajor, minor: curMinor, patch: curPatch } = currentParsed;
   const { major: prevMajor, minor: prevMinor, patch: prevPatch } = previousParsed;
 
-  // Guard: only classify bump type when current is strictly higher
-  const cmp = semver.compare(current, previous);
-  if (cmp <= 0) {
-    if (cmp === 0) {
-      return {
-        isSequential: false,
-        incrementType: null,
-        expectedVersion: null,
-        message: `Versions are equal: ${current}`
-      };
+  // Guard: only classify bump type when current is strictly higher
+  const cmp = semver.compare(current, previous);
+  if (cmp <= 0) {
+    if (cmp === 0) {
+      return {
+        isSequential: false,
+        incrementType: null,
+        expectedVersion: null,
+        message: `Versions are equal: ${current}`
+      };
+    }
+    return {
+      isSequential: false,
+      incrementType: null,
+      expectedVersion: null,
+      message: `Version ${current} is lower than ${previous}`
+    };
+  }
+
+  // Determine which component changed
+  if (curMajor > prevMajor) {
+    const expectedVersion = `${prevMajor + 1}.0.0`;
+    if (curMajor === prevMajor + 1 && curMinor === 0 && curPatch === 0) {
+      return {
+        isSequential: true,
+        incrementType: 'major',
+        expectedVersion,
+        message: `Major version bump: ${previous} → ${current}`
+      };
+    }
+    return {
+      isSequential: false,
+      incrementType: 'major',
+      expectedVersion,
+      message: `Non-sequential major bump: expected ${expectedVersion}, got ${current}`
+    };
+  }
+
+  if (curMajor === prevMajor && curMinor > prevMinor) {
+    const expectedVersion = `${prevMajor}.${prevMinor + 1}.0`;
+    if (curMinor === prevMinor + 1 && curPatch === 0) {
+      return {
+        isSequential: true,
+        incrementType: 'minor',
+        expectedVersion,
+        message: `Minor version bump: ${previous} → ${current}`
+      };
+    }
+    return {
+      isSequential: false,
+      incrementType: 'minor',
+      expectedVersion,
+      message: `Non-sequential minor bump: expected ${expectedVersion}, got ${current}`
+    };
+  }
+
+  if (curMajor === prevMajor && curMinor === prevMinor && curPatch > prevPatch) {
+    const expectedVersion = `${prevMajor}.${prevMinor}.${prevPatch + 1}`;
+    if (curPatch === prevPatch + 1) {
+      return {
+        isSequential: true,
+        incrementType: 'patch',
+        expectedVersion,
+        message: `Patch version bump: ${previous} → ${current}`
+      };
+    }
+    return {
+      isSequential: false,
+      incrementType: 'patch',
+      expectedVersion,
+      message: `Non-sequential patch bump: expected ${expectedVersion}, got ${current}`
+    };
+  }
+
+  // No major/minor/patch component increased — prerelease-only change
+  // (e.g., 1.0.0-beta.1 → 1.0.0 or 1.0.0-beta.1 → 1.0.0-beta.2)
+  return {
+    isSequential: true,
+    incrementType: null,
+    expectedVersion: null,
+    message: `Prerelease version change: ${previous} → ${current}`
+  };
+}
+
+/**
+ * Run the version consistency, tag comparison and sequential checks for a single package.
+ * Progress is logged, but outputs and failure reporting are left to the caller so the same
+ * checks can be applied to each package in workspace mode.
+ *
+ * @param {string} packagePath - Path to the package.json file
+ * @param {string} tagPrefix - The prefix or template of the package's version tags (e.g., 'v' or '{name}@{version}')
+ * @param {object} octokit - Authenticated Octokit instance
+ * @param {{skipVersionConsistencyCheck?: boolean, skipSequentialVersionCheck?: boolean}} options - Checks to skip
+ * @returns {Promise<{passed: boolean, packageName: string|null, currentVersion: string|null, previousVersion: string|null, incrementType: string|null, error: string|null, hint: string|null}>}
+ *          Check result; previousVersion is null for a first release
+ * @throws {Error} If package.json cannot be read, the tag template cannot be resolved, or repository tags cannot be fetched
+ */
+export async function checkPackageVersion(packagePath, tagPrefix, octokit, options = {}) {
+  const { skipVersionConsistencyCheck = false, skipSequentialVersionCheck = false } = options;
+  const result = {
+    passed: false,
+    packageName: null,
+    currentVersion: null,
+    previousVersion: null,
+    incrementType: null,
+    error: null,
+    hint: null
+  };
+
+  // Validate package.json and lockfile version consistency
+  if (!skipVersionConsistencyCheck) {
+    logMessage('🔄 Checking package.json and lockfile version consistency...');
+    const consistencyResult = validatePackageVersionConsistency(packagePath);
+    if (!consistencyResult.isValid) {
+      const lockfile =
+        VERSIONED_LOCKFILES.find(({ filename }) => filename === consistencyResult.lockFile) || VERSIONED_LOCKFILES[0];
+      result.error = consistencyResult.error;
+      result.hint = `Run '${lockfile.installCommand}' to regenerate ${lockfile.filename} with the correct version`;
+      return result;
+    }
+    if (consistencyResult.lockVersion) {
+      logMessage(`✅ Version consistency check passed (${consistencyResult.packageVersion})`);
+    }
+  } else {
+    logMessage('⏭️ Skipping version consistency check (skip-version-consistency-check: true)');
+  }
+
+  // Read package.json
+  const packageJson = readPackageJson(packagePath);
+  const currentVersion = packageJson.version;
+  result.packageName = packageJson.name || null;
+  result.currentVersion = currentVersion;
+
+  logMessage(`📦 Current version: ${currentVersion}`);
+
+  // Resolve the package's tag series from the tag-prefix input (plain prefix or template)
+  const packageTagPrefix = resolveTagPrefix(tagPrefix, result.packageName);
+  if (packageTagPrefix !== tagPrefix) {
+    logMessage(`Tag prefix for ${result.packageName || packagePath}: ${packageTagPrefix}`);
+  }
+
+  // Get latest tag via GitHub API
+  logMessage('🏷️ Fetching repository tags...');
+  const latestTag = await getLatestVersionTag(packageTagPrefix, octokit);
+
+  if (!latestTag) {
+    logMessage('🎉 No previous version tag found, this appears to be the first release.', 'notice');
+    logMessage('✅ Version check passed - first release');
+    result.passed = true;
+    return result;
+  }
+
+  // Extract version from tag
+  const latestVersion = latestTag.substring(packageTagPrefix.length);
+  logMessage(`🔖 Latest released version: ${latestVersion} (tag: ${latestTag})`);
+  result.previousVersion = latestVersion;
+
+  // Compare versions
+  logMessage('⚖️ Comparing versions...');
+  const comparison = compareVersions(currentVersion, latestVersion);
+
+  switch (comparison) {
+    case 'same':
+      result.error = `Package version (${currentVersion}) is the same as the latest release. You need to increment it.`;
+      result.hint = `Run 'npm version patch', 'npm version minor', or 'npm version major' to increment the version`;
+      return result;
+
+    case 'lower':
+      result.error = `Package version (${currentVersion}) is lower than the latest release (${latestVersion})`;
+      result.hint = 'Version should be higher than the previous release. Consider using semantic versioning.';
+      return result;
+
+    case 'higher': {
+      // Check if the version increment is sequential before declaring success
+      const sequentialResult = isSequentialVersion(currentVersion, latestVersion);
+      result.incrementType = sequentialResult.incrementType;
+      if (!sequentialResult.isSequential && sequentialResult.incrementType && !skipSequentialVersionCheck) {
+        result.error = sequentialResult.message;
+        result.hint = `Use 'npm version ${sequentialResult.incrementType}' from version ${latestVersion} to get ${sequentialResult.expectedVersion}`;
+        return result;
+      }
+
+      logMessage(`✅ Version has been properly incremented from ${latestVersion} to ${currentVersion}`);
+      logMessage('🎯 Semantic versioning check passed!');
+      result.passed = true;
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * List the subdirectories of a directory, skipping node_modules and hidden directories.
+ * @param {string} rootDir - Directory the workspace patterns are relative to
+ * @param {string} dir - Directory to list, relative to rootDir ('' for rootDir itself)
+ * @param {boolean} recursive - Whether to include nested subdirectories (for `**` segments)
+ * @returns {string[]} Subdirectory paths relative to rootDir
+ */
+function listSubdirectories(rootDir, dir, recursive) {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(rootDir, dir), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const subdirectories = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) {
+      continue;
+    }
+    const subdirectory = path.posix.join(dir, entry.name);
+    subdirectories.push(subdirectory);
+    if (recursive) {
+      subdirectories.push(...listSubdirectories(rootDir, subdirectory, true));
+    }
+  }
+  return subdirectories;
+}
+
+/**
+ * Expand a single workspace pattern (e.g. 'packages/*') into the directories it matches,
+ * walking the file system one path segment at a time.
+ * @param {string} rootDir - Directory the pattern is relative to
+ * @param {string} pattern - Workspace glob pattern
+ * @returns {string[]} Matching directories relative to rootDir
+ */
+function expandWorkspacePattern(rootDir, pattern) {
+  const segments = pattern
+    .replace(/^\.\//, '')
+    .split('/')
+    .filter(segment => segment && segment !== '.');
+
+  let dirs = [''];
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        next.push(dir, ...listSubdirectories(rootDir, dir, true));
+      } else if (/[*?[\]{}()!+@]/.test(segment)) {
+        next.push(
+          ...listSubdirectories(rootDir, dir, false).filter(subdirectory =>
+            minimatch(path.posix.basename(subdirectory), segment)
+          )
+        );
+      } else if (fs.existsSync(path.join(rootDir, dir, segment))) {
+        next.push(path.posix.join(dir, segment));
+      }
+    }
+    dirs = [...new Set(next)];
+  }
+  return dirs.filter(Boolean);
+}
+
+/**
+ * Get the directory of a package.json path as a normalized POSIX path ('.' for the repository root).
+ * @param {string} packagePath - Path to a package.json file
+ * @returns {string} The package directory
+ */
+function getPackageDirectory(packagePath) {
+  return path.posix.normalize(path.posix.dirname(packagePath.replace(/\\/g, '/')));
+}
+
+/**
+ * Find the workspace root of a package in a subdirectory: the closest parent directory with a lockfile.
+ * @param {string} packageDir - Package directory relative to the repository root
+ * @returns {string|null} The workspace root ('.' for the repository root), or null if no parent directory has a lockfile
+ */
+function findWorkspaceRoot(packageDir) {
+  let dir = packageDir;
+  while (dir !== '.' && dir !== '/') {
+    dir = path.posix.dirname(dir);
+    if (Object.keys(LOCKFILE_FORMATS).some(lockfileName => fs.existsSync(path.join(dir, lockfileName)))) {
+      return dir;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the workspace packages declared by the root package.json `workspaces` field.
+ * Supports the array form and the `{ packages: [...] }` object form; patterns starting with '!' exclude directories.
+ *
+ * @param {string} packagePath - Path to the workspace root package.json
+ * @returns {string[]} Sorted directories (relative to the repository root) of the workspace packages that contain a package.json
+ * @throws {Error} If the root package.json is missing, is invalid JSON, or declares no workspaces
+ */
+export function getWorkspacePackageDirs(packagePath) {
+  if (!fs.existsSync(packagePath)) {
+    throw new Error(`package.json not found at path: ${packagePath}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${packagePath}: ${error.message}`);
+  }
+
+  const patterns = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces?.packages;
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    throw new Error(`No workspaces field found in ${packagePath}`);
+  }
+
+  const rootDir = getPackageDirectory(packagePath);
+  const includePatterns = patterns.filter(pattern => !pattern.startsWith('!'));
+  const excludePatterns = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+
+  const dirs = new Set();
+  for (const pattern of includePatterns) {
+    for (const dir of expandWorkspacePattern(rootDir, pattern)) {
+      if (
+        !excludePatterns.some(exclude => minimatch(dir, exclude.replace(/^\.\//, ''))) &&
+        fs.existsSync(path.join(rootDir, dir, PACKAGE_JSON_FILENAME))
+      ) {
+        dirs.add(path.posix.join(rootDir, dir));
+      }
+    }
+  }
+
+  return [...dirs].sort();
+}
+
+/**
+ * Find the workspace package that owns a file. Nested packages win over their parents.
+ * @param {string} file - Changed file path relative to the repository root
+ * @param {string[]} packageDirs - Workspace package directories relative to the repository root
+ * @returns {string|null} The owning package directory, or null if the file is outside every workspace package
+ */
+export function getOwningWorkspacePackage(file, packageDirs) {
+  let owner = null;
+  for (const dir of packageDirs) {
+    if (file.startsWith(`${dir}/`) && (!owner || dir.length > owner.length)) {
+      owner = dir;
+    }
+  }
+  return owner;
+}
+
+/**
+ * Build the file relevance rules of a package: the action bundle directories whose files always count as
+ * relevant, and with publish-files-only, the files npm would publish from the package directory.
+ * @param {Object} fileRules - Path rules for file relevance (include-paths, exclude-paths, skip-default-paths)
+ * @param {string} packageDir - Package directory relative to the repository root ('.' for the root)
+ * @param {string[]} packageFiles - Changed files of the package, relative to the package directory
+ * @param {boolean} findBundleDirectories - Find the action bundle directories even if no changed file can be in one
+ * @returns {Object} The file rules of the package, including its actionBundleDirectories
+ */
+function getPackageFileRules(fileRules, packageDir, packageFiles, findBundleDirectories = false) {
+  // Files in the bundle directories of JavaScript actions (e.g., dist/) are what the action runs. Finding them
+  // walks the checkout, so it's skipped unless the caller needs them or a changed file is in an excluded
+  // directory (bundle directories always are) that the default rules would otherwise ignore.
+  const mayChangeBundleDirectory =
+    !fileRules.skipDefaults && !fileRules.publishFilesOnly && packageFiles.some(file => isInExcludedDirectory(file));
+  const actionBundleDirectories =
+    findBundleDirectories || mayChangeBundleDirectory ? getActionBundleDirectories(packageDir) : [];
+  if (actionBundleDirectories.length > 0) {
+    logMessage(`Debug: Action bundle directories: ${actionBundleDirectories.join(', ')}`, 'debug');
+  }
+  return fileRules.publishFilesOnly
+    ? { ...fileRules, actionBundleDirectories, publishFiles: createPublishFileMatcher(packageDir) }
+    : { ...fileRules, actionBundleDirectories };
+}
+
+/**
+ * Find the relevant changed files whose changes are only comments or formatting (ignore-formatting-changes).
+ * @param {string[]} relevantFiles - Relevant changed files (relative to the repository root)
+ * @param {string} baseRef - The base git ref (SHA)
+ * @param {string} headRef - The head git ref (SHA)
+ * @param {object} octokit - The authenticated Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<string[]>} The files to ignore
+ */
+async function findFormattingOnlyFiles(relevantFiles, baseRef, headRef, octokit, owner, repo) {
+  if (relevantFiles.length === 0 || !baseRef || !headRef) return [];
+
+  const formattingOnlyFiles = await getFormattingOnlyFiles(relevantFiles, baseRef, headRef, octokit, owner, repo);
+  if (formattingOnlyFiles.length > 0) {
+    logMessage(`⏭️ Ignoring comment and formatting-only changes: ${formattingOnlyFiles.join(', ')}`);
+  }
+  return formattingOnlyFiles;
+}
+
+/**
+ * Check every workspace package that has relevant changes in the PR.
+ * Each package gets the same relevance, consistency, tag comparison and sequential checks as a
+ * single-package run; results are reported per package and the action fails if any package fails.
+ * The checks that compare a single package's contract (runtime, action interface, manifest contract,
+ * renamed and deleted files, API surface, type declarations, action bundle, Conventional Commits) don't run.
+ *
+ * @param {object} options - Action inputs and API client
+ * @param {string} options.packagePath - Path to the workspace root package.json
+ * @param {string} options.tagPrefix - The prefix or template of the version tags, resolved per package
+ * @param {boolean} options.skipFilesCheck - Check every workspace package regardless of changed files
+ * @param {boolean} options.skipVersionConsistencyCheck - Skip the package.json/lockfile version consistency check
+ * @param {boolean} options.skipSequentialVersionCheck - Skip the sequential version check
+ * @param {string} options.skipVersionKeyword - Commit message keyword whose commits are ignored
+ * @param {Object} options.fileRules - Path rules for file relevance (include-paths, exclude-paths, skip-default-paths)
+ * @param {boolean} options.ignoreFormattingChanges - Ignore changed files with only comment or formatting changes
+ * @param {object} options.octokit - Authenticated Octokit instance
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @returns {Promise<void>}
+ */
+async function runWorkspaceCheck({
+  packagePath,
+  tagPrefix,
+  skipFilesCheck,
+  skipVersionConsistencyCheck,
+  skipSequentialVersionCheck,
+  skipVersionKeyword,
+  fileRules,
+  ignoreFormattingChanges,
+  octokit,
+  owner,
+  repo
+}) {
+  const packageDirs = getWorkspacePackageDirs(packagePath);
+  const workspaceRoot = getPackageDirectory(packagePath);
+  const baseRef = github.context.payload.pull_request?.base?.sha;
+  const headRef = github.context.payload.pull_request?.head?.sha || github.context.sha;
+  logMessage(`📦 Found ${packageDirs.length} workspace packages: ${packageDirs.join(', ')}`);
+
+  let changedFiles = null;
+  let rootLockfileChanges = [];
+  if (!skipFilesCheck) {
+    logMessage('📁 Checking files changed in PR...');
+    const prNumber = github.context.payload.pull_request?.number;
+    changedFiles = prNumber ? await getPRDiffFiles(octokit, owner, repo, prNumber) : [];
+    logMessage(`Files changed: ${changedFiles.join(', ')}`);
+
+    if (skipVersionKeyword && changedFiles.length > 0) {
+      const result = await applySkipKeywordFilter(changedFiles, skipVersionKeyword, octokit, owner, repo);
+      changedFiles = result.files;
+      if (result.skippedCommits > 0) {
+        logMessage(
+          `⏭️ Skipped ${result.skippedCommits} of ${result.totalCommits} commits containing "${skipVersionKeyword}"`,
+          'notice'
+        );
+      }
+    }
+
+    // Root lockfile changes are checked for every package, scoped to that package's dependencies
+    const rootLockfiles = Object.keys(LOCKFILE_FORMATS).map(lockfileName =>
+      path.posix.join(workspaceRoot, lockfileName)
+    );
+    rootLockfileChanges = changedFiles.filter(file => rootLockfiles.includes(file));
+
+    const unownedFiles = changedFiles.filter(
+      file => !getOwningWorkspacePackage(file, packageDirs) && !rootLockfileChanges.includes(file)
+    );
+    if (unownedFiles.length > 0) {
+      logMessage(`Debug: Files outside workspace packages: ${unownedFiles.join(', ')}`, 'debug');
     }
-    return {
-      isSequential: false,
+  }
+
+  const results = [];
+  for (const dir of packageDirs) {
+    const packageJsonPath = path.posix.join(dir, PACKAGE_JSON_FILENAME);
+    const entry = {
+      name: dir,
+      path: packageJsonPath,
+      status: 'skipped',
+      currentVersion: null,
+      previousVersion: null,
       incrementType: null,
-      expectedVersion: null,
-      message: `Version ${current} is lower than ${previous}`
+      message: null
     };
-  }
+    results.push(entry);
+
+    core.startGroup(`📦 ${dir}`);
+    try {
+      if (changedFiles !== null) {
+        const packageFiles = changedFiles.filter(file => getOwningWorkspacePackage(file, packageDirs) === dir);
+        const packageRelativeFiles = packageFiles.map(file => path.posix.relative(dir, file));
+        const packageRules = getPackageFileRules(fileRules, dir, packageRelativeFiles);
+        logFileClassifications(packageRelativeFiles, packageRules);
+        const relevantFiles = packageFiles.filter(file => isRelevantFile(path.posix.relative(dir, file), packageRules));
+        const formattingOnlyFiles = ignoreFormattingChanges
+          ? await findFormattingOnlyFiles(relevantFiles, baseRef, headRef, octokit, owner, repo)
+          : [];
+        const hasRegularChanges = formattingOnlyFiles.length < relevantFiles.length;
+        const packageDepResult = hasRegularChanges
+          ? { hasChanges: false, onlyDevDependencies: false }
+          : await hasPackageDependencyChanges([...packageFiles, ...rootLockfileChanges], octokit, owner, repo, {
+              packageDir: dir,
+              workspaceRoot
+            });
+
+        if (!hasRegularChanges && !packageDepResult.hasChanges) {
+          entry.message = packageDepResult.onlyDevDependencies
+            ? 'Only devDependency changes detected'
+            : 'No JavaScript/TypeScript files or dependency changes detected';
+          logMessage(`⏭️ ${entry.message}, skipping version check`);
+          continue;
+        }
+      }
 
-  // Determine which component changed
-  if (curMajor > prevMajor) {
-    const expectedVersion = `${prevMajor + 1}.0.0`;
-    if (curMajor === prevMajor + 1 && curMinor === 0 && curPatch === 0) {
-      return {
-        isSequential: true,
-        incrementType: 'major',
-        expectedVersion,
-        message: `Major version bump: ${previous} → ${current}`
-      };
+      const versionResult = await checkPackageVersion(packageJsonPath, tagPrefix, octokit, {
+        skipVersionConsistencyCheck,
+        skipSequentialVersionCheck
+      });
+      entry.name = versionResult.packageName || dir;
+      entry.currentVersion = versionResult.currentVersion;
+      entry.previousVersion = versionResult.previousVersion;
+      entry.incrementType = versionResult.incrementType;
+      if (versionResult.passed) {
+        entry.status = 'passed';
+      } else {
+        entry.status = 'failed';
+        entry.message = versionResult.error;
+        logMessage(`❌ ERROR: ${versionResult.error}`, 'error');
+        logMessage(`💡 HINT: ${versionResult.hint}`, 'notice');
+      }
+    } catch (error) {
+      entry.status = 'failed';
+      entry.message = error.message;
+      logMessage(`❌ ERROR: ${error.message}`, 'error');
+    } finally {
+      core.endGroup();
     }
-    return {
-      isSequential: false,
-      incrementType: 'major',
-      expectedVersion,
-      message: `Non-sequential major bump: expected ${expectedVersion}, got ${current}`
-    };
   }
 
-  if (curMajor === prevMajor && curMinor > prevMinor) {
-    const expectedVersion = `${prevMajor}.${prevMinor + 1}.0`;
-    if (curMinor === prevMinor + 1 && curPatch === 0) {
-      return {
-        isSequential: true,
-        incrementType: 'minor',
-        expectedVersion,
-        message: `Minor version bump: ${previous} → ${current}`
-      };
-    }
-    return {
-      isSequential: false,
-      incrementType: 'minor',
-      expectedVersion,
-      message: `Non-sequential minor bump: expected ${expectedVersion}, got ${current}`
-    };
+  core.setOutput('workspace-results', JSON.stringify(results));
+  core.setOutput('version-changed', results.some(entry => entry.status === 'passed') ? 'true' : 'false');
+
+  for (const entry of results) {
+    const icon = { passed: '✅', failed: '❌', skipped: '⏭️' }[entry.status];
+    const versions = entry.currentVersion
+      ? ` (${entry.previousVersion ? `${entry.previousVersion} -> ` : ''}${entry.currentVersion})`
+      : '';
+    logMessage(`${icon} ${entry.name}: ${entry.status}${versions}`);
   }
 
-  if (curMajor === prevMajor && curMinor === prevMinor && curPatch > prevPatch) {
-    const expectedVersion = `${prevMajor}.${prevMinor}.${prevPatch + 1}`;
-    if (curPatch === prevPatch + 1) {
-      return {
-        isSequential: true,
-        incrementType: 'patch',
-        expectedVersion,
-        message: `Patch version bump: ${previous} → ${current}`
-      };
-    }
-    return {
-      isSequential: false,
-      incrementType: 'patch',
-      expectedVersion,
-      message: `Non-sequential patch bump: expected ${expectedVersion}, got ${current}`
-    };
+  const failed = results.filter(entry => entry.status === 'failed');
+  if (failed.length > 0) {
+    core.setFailed(
+      `❌ ERROR: ${failed.length} workspace package(s) failed the version check: ${failed.map(entry => entry.name).join(', ')}`
+    );
+    return;
   }
 
-  // No major/minor/patch component increased — prerelease-only change
-  // (e.g., 1.0.0-beta.1 → 1.0.0 or 1.0.0-beta.1 → 1.0.0-beta.2)
-  return {
-    isSequential: true,
-    incrementType: null,
-    expectedVersion: null,
-    message: `Prerelease version change: ${previous} → ${current}`
-  };
+  logMessage('🏁 Version check completed successfully');
+}
+
+/**
+ * Build the hint shown when a Conventional Commit requires a larger version increment.
+ * @param {string} incrementType - The required increment
+ * @param {string} previousVersion - The latest released version
+ * @param {string} remedy - How to change the Conventional Commit instead (e.g. 'reword the commit')
+ * @returns {string} The hint, without the "💡 HINT:" prefix
+ */
+function getConventionalIncrementHint(incrementType, previousVersion, remedy) {
+  const kind = incrementType === 'major' ? 'breaking change' : 'new feature';
+  return `Run 'npm version ${incrementType}' from version ${previousVersion}, or ${remedy} if it is not a ${kind}.`;
 }
 
 /**
@@ -1238,7 +5047,29 @@ export async function run() {
     const skipVersionConsistencyCheck = core.getInput('skip-version-consistency-check') === 'true';
     const skipMajorOnActionsRuntimeChange = core.getInput('skip-major-on-actions-runtime-change') === 'true';
     const skipSequentialVersionCheck = core.getBooleanInput('skip-sequential-version-check');
+    const skipManifestContractCheck = core.getInput('skip-manifest-contract-check') === 'true';
+    const skipActionInterfaceCheck = core.getInput('skip-action-interface-check') === 'true';
+    const skipDeletedFilesCheck = core.getInput('skip-deleted-files-check') === 'true';
+    const actionHookIncrement = (core.getInput('action-hook-increment') || 'major').trim().toLowerCase();
     const skipVersionKeyword = core.getInput('skip-version-keyword');
+    const workspaces = core.getInput('workspaces') === 'true';
+    const ignoreFormattingChanges = core.getInput('ignore-formatting-changes') === 'true';
+    const checkApiSurface = core.getInput('check-api-surface') === 'true';
+    const checkTypeDeclarations = core.getInput('check-type-declarations') === 'true';
+    const checkActionBundle = core.getInput('check-action-bundle') === 'true';
+    const conventionalCommits = core.getInput('conventional-commits') === 'true';
+    const conventionalPrTitle = core.getInput('conventional-pr-title') === 'true';
+    const conventionalPrBody = core.getInput('conventional-pr-body') === 'true';
+    const fileRules = {
+      includePaths: parsePathPatterns(core.getInput('include-paths')),
+      excludePaths: parsePathPatterns(core.getInput('exclude-paths')),
+      skipDefaults: core.getInput('skip-default-paths') === 'true',
+      publishFilesOnly: core.getInput('publish-files-only') === 'true',
+      extensions: resolveExtensions(
+        parsePathPatterns(core.getInput('extension-presets')),
+        parsePathPatterns(core.getInput('extensions'))
+      )
+    };
     const token = (core.getInput('token') || process.env.GITHUB_TOKEN || '').trim();
 
     logMessage(`Package path: ${packagePath}`);
@@ -1247,6 +5078,56 @@ export async function run() {
     logMessage(`Skip version consistency check: ${skipVersionConsistencyCheck}`);
     logMessage(`Skip major on actions runtime change: ${skipMajorOnActionsRuntimeChange}`);
     logMessage(`Skip sequential version check: ${skipSequentialVersionCheck}`);
+    logMessage(`Skip manifest contract check: ${skipManifestContractCheck}`);
+    logMessage(`Skip action interface check: ${skipActionInterfaceCheck}`);
+    logMessage(`Skip deleted files check: ${skipDeletedFilesCheck}`);
+    if (!INCREMENT_TYPES.includes(actionHookIncrement)) {
+      throw new Error(`Invalid action-hook-increment "${actionHookIncrement}": must be major, minor, or patch`);
+    }
+    if (actionHookIncrement !== 'major') {
+      logMessage(`Action hook increment: ${actionHookIncrement}`);
+      // Lifecycle hooks are compared by the action interface check
+      if (skipActionInterfaceCheck) {
+        logMessage(
+          '⚠️ action-hook-increment has no effect because skip-action-interface-check is true, which also skips the lifecycle hook comparison.',
+          'warning'
+        );
+      }
+    }
+    logMessage(`Workspaces: ${workspaces}`);
+    if (ignoreFormattingChanges) {
+      logMessage('Ignore formatting changes: true');
+    }
+    if (checkApiSurface) {
+      logMessage('Check API surface: true');
+    }
+    if (checkTypeDeclarations) {
+      logMessage('Check type declarations: true');
+    }
+    if (checkActionBundle) {
+      logMessage('Check action bundle: true');
+    }
+    if (conventionalCommits) {
+      logMessage('Conventional commits: true');
+    }
+    if (conventionalPrTitle) {
+      logMessage(`Conventional PR title: true${conventionalPrBody ? ' (including body)' : ''}`);
+    }
+    if (fileRules.includePaths.length > 0) {
+      logMessage(`Include paths: ${fileRules.includePaths.join(', ')}`);
+    }
+    if (fileRules.excludePaths.length > 0) {
+      logMessage(`Exclude paths: ${fileRules.excludePaths.join(', ')}`);
+    }
+    if (fileRules.skipDefaults) {
+      logMessage('Skip default paths: true');
+    }
+    if (fileRules.publishFilesOnly) {
+      logMessage('Publish files only: true');
+    }
+    if (fileRules.extensions.join() !== JS_TS_EXTENSIONS.join()) {
+      logMessage(`Relevant extensions: ${fileRules.extensions.join(', ')}`);
+    }
     if (skipVersionKeyword) {
       logMessage(`Skip version keyword: ${skipVersionKeyword}`);
     }
@@ -1278,7 +5159,47 @@ export async function run() {
     core.setOutput('current-version', '');
     core.setOutput('previous-version', '');
     core.setOutput('runtime-changed', 'false');
+    core.setOutput('engines-changed', 'false');
+    core.setOutput('action-interface-changes', '[]');
+    core.setOutput('runtime-changes', '[]');
     core.setOutput('version-increment-type', '');
+    core.setOutput('required-increment-type', '');
+
+    if (workspaces) {
+      await runWorkspaceCheck({
+        packagePath,
+        tagPrefix,
+        skipFilesCheck,
+        skipVersionConsistencyCheck,
+        skipSequentialVersionCheck,
+        skipVersionKeyword,
+        fileRules,
+        ignoreFormattingChanges,
+        octokit,
+        owner: repoOwner,
+        repo: repoName
+      });
+      return;
+    }
+
+    // Only files under the package's directory count when package-path points into a subdirectory
+    const packageDir = getPackageDirectory(packagePath);
+    const isSubdirectoryPackage = packageDir !== '.';
+    // Action metadata files of the package: the changed ones, or without the files check, all in the checkout
+    let actionMetadataPaths = [];
+    // Actions whose runtime may have changed: the changed action metadata, and every action when a Dockerfile changed
+    let runtimeCheckPaths = [];
+    const packageJsonPath = path.posix.join(packageDir, PACKAGE_JSON_FILENAME);
+    const baseRef = github.context.payload.pull_request?.base?.sha;
+    const headRef = github.context.payload.pull_request?.head?.sha || github.context.sha;
+    // Contract changes of the package's package.json and of each action's metadata, detected while checking the PR files
+    let manifestContract = null;
+    const actionInterfaces = new Map();
+    // Runtime changes of each action, detected while checking the PR files
+    const actionRuntimeChanges = new Map();
+    // Public paths broken by files renamed without content changes, and by deleted files
+    let renameChanges = null;
+    let deletionChanges = null;
 
     // Check if we should run based on file changes
     if (!skipFilesCheck) {
@@ -1286,38 +5207,181 @@ export async function run() {
 
       // Get the PR diff (one API call — source of truth)
       const prNumber = github.context.payload.pull_request?.number;
-      let changedFiles = prNumber ? await getPRDiffFiles(octokit, repoOwner, repoName, prNumber) : [];
+      const diffEntries = prNumber ? await getPRDiffEntries(octokit, repoOwner, repoName, prNumber) : [];
+      let changedFiles = diffEntries.map(entry => entry.filename);
       logMessage(`Files changed: ${changedFiles.join(', ')}`);
 
+      const dependencyOptions = isSubdirectoryPackage
+        ? { packageDir, workspaceRoot: findWorkspaceRoot(packageDir) }
+        : {};
+      if (isSubdirectoryPackage) {
+        logMessage(`Debug: Only checking files under ${packageDir}/`, 'debug');
+      }
+      const getPackageFiles = files =>
+        isSubdirectoryPackage ? files.filter(file => file.startsWith(`${packageDir}/`)) : files;
+      const toPackagePath = file => (isSubdirectoryPackage ? path.posix.relative(packageDir, file) : file);
+      // The stale bundle check needs the action bundle directories even if no changed file is in one
+      const packageRules = getPackageFileRules(
+        fileRules,
+        packageDir,
+        getPackageFiles(changedFiles).map(toPackagePath),
+        checkActionBundle
+      );
+      const { actionBundleDirectories } = packageRules;
+      // Relevant files renamed without content changes that are not public paths, and files whose
+      // changes are only comments or formatting (ignore-formatting-changes)
+      let internalRenames = [];
+      let formattingOnlyFiles = [];
+      const getRelevantFiles = files =>
+        getPackageFiles(files).filter(
+          file =>
+            isRelevantFile(toPackagePath(file), packageRules) &&
+            !internalRenames.includes(file) &&
+            !formattingOnlyFiles.includes(file)
+        );
+      logFileClassifications(getPackageFiles(changedFiles).map(toPackagePath), packageRules);
+
+      // A rename breaks consumers when it moves a public path, also when the file is edited in the same commit.
+      // A rename without content changes that moves no public path doesn't matter to consumers.
+      const renames = diffEntries.filter(
+        entry =>
+          entry.status === 'renamed' &&
+          entry.previousFilename &&
+          getPackageFiles([entry.filename, entry.previousFilename]).length === 2
+      );
+      if (renames.length > 0 && baseRef && headRef) {
+        renameChanges = await detectRenameChanges(renames, baseRef, headRef, packageDir, octokit, repoOwner, repoName);
+        internalRenames = renameChanges.internalRenames;
+        if (internalRenames.length > 0) {
+          logMessage(`⏭️ Ignoring files renamed without content changes: ${internalRenames.join(', ')}`);
+        }
+      }
+      let hasRenameChange = renameChanges !== null && renameChanges.changes.length > 0;
+
+      const removedFiles = getPackageFiles(
+        diffEntries.filter(entry => entry.status === 'removed').map(entry => entry.filename)
+      );
+      if (!skipDeletedFilesCheck && removedFiles.length > 0 && baseRef) {
+        deletionChanges = await detectDeletedFileChanges(
+          removedFiles,
+          baseRef,
+          packageDir,
+          octokit,
+          repoOwner,
+          repoName
+        );
+        await writeDeletedFilesSummary(deletionChanges.deletedFiles);
+      }
+      let hasDeletionChange = deletionChanges !== null && deletionChanges.changes.length > 0;
+      if (ignoreFormattingChanges) {
+        formattingOnlyFiles = await findFormattingOnlyFiles(
+          getRelevantFiles(changedFiles),
+          baseRef,
+          headRef,
+          octokit,
+          repoOwner,
+          repoName
+        );
+      }
+      const getRuntimeCheckPaths = (files, actionPaths) =>
+        getPackageFiles(files).some(file => isDockerfile(file))
+          ? [...new Set([...actionPaths, ...findActionMetadataFiles(packageDir)])]
+          : actionPaths;
+      actionMetadataPaths = getPackageFiles(changedFiles).filter(file => isActionMetadataFile(toPackagePath(file)));
+      runtimeCheckPaths = getRuntimeCheckPaths(changedFiles, actionMetadataPaths);
+
       // Check if the PR diff has any files that would trigger a version check
-      let hasRegularChanges = hasRelevantFileChanges(changedFiles);
-      const packageDepResult = await hasPackageDependencyChanges(changedFiles, octokit, repoOwner, repoName);
+      let hasRegularChanges = getRelevantFiles(changedFiles).length > 0;
+
+      // A source change released without a rebuilt bundle would ship the old code
+      if (checkActionBundle) {
+        const staleSources = findStaleBundleSources(
+          getRelevantFiles(changedFiles).map(toPackagePath),
+          actionBundleDirectories
+        );
+        if (staleSources.length > 0) {
+          const bundles = actionBundleDirectories.map(dir => `${dir}/`).join(', ');
+          core.setFailed(
+            `❌ ERROR: Source files changed but the action bundle (${bundles}) was not updated: ${staleSources.join(', ')}`
+          );
+          logMessage(
+            `💡 HINT: Rebuild the action (e.g., 'npm run package') and commit ${bundles} so the release runs the new code.`,
+            'notice'
+          );
+          return;
+        }
+      }
+      const packageDepResult = await hasPackageDependencyChanges(
+        changedFiles,
+        octokit,
+        repoOwner,
+        repoName,
+        dependencyOptions
+      );
       let hasPackageDepChanges = packageDepResult.hasChanges;
       let onlyDevDependencies = packageDepResult.onlyDevDependencies;
 
-      let hasRuntimeChange = false;
-      if (!skipMajorOnActionsRuntimeChange) {
-        const actionYmlChanged = changedFiles.some(
-          f => f === DEFAULT_ACTION_YML_PATH || f.endsWith(`/${DEFAULT_ACTION_YML_PATH}`)
+      if (!skipMajorOnActionsRuntimeChange && baseRef && headRef) {
+        for (const actionPath of runtimeCheckPaths) {
+          const runtimeChange = await detectActionRuntimeChange(
+            baseRef,
+            headRef,
+            actionPath,
+            octokit,
+            repoOwner,
+            repoName
+          );
+          if (runtimeChange.changed) {
+            actionRuntimeChanges.set(actionPath, runtimeChange);
+          }
+        }
+      }
+      let hasRuntimeChange = actionRuntimeChanges.size > 0;
+
+      // Detected even when the contract check is skipped, since it also sets the engines-changed output
+      if (changedFiles.includes(packageJsonPath) && baseRef && headRef) {
+        manifestContract = await detectManifestContractChanges(
+          baseRef,
+          headRef,
+          packageJsonPath,
+          octokit,
+          repoOwner,
+          repoName
         );
-        if (actionYmlChanged) {
-          const baseRef = github.context.payload.pull_request?.base?.sha;
-          const headRef = github.context.payload.pull_request?.head?.sha || github.context.sha;
-          if (baseRef && headRef) {
-            const earlyRuntimeCheck = await detectNodeRuntimeChange(
-              baseRef,
-              headRef,
-              DEFAULT_ACTION_YML_PATH,
-              octokit,
-              repoOwner,
-              repoName
-            );
-            hasRuntimeChange = earlyRuntimeCheck.changed;
+      }
+      // Patch-level contract changes (e.g., a range rewritten without changing the versions it allows) don't affect
+      // consumers, so only minor and major ones trigger the version check
+      let hasContractChange =
+        !skipManifestContractCheck &&
+        manifestContract !== null &&
+        compareIncrementTypes(manifestContract.incrementType, 'patch') > 0;
+
+      if (!skipActionInterfaceCheck && baseRef && headRef) {
+        for (const actionPath of actionMetadataPaths) {
+          const actionInterface = await detectActionInterfaceChanges(
+            baseRef,
+            headRef,
+            actionPath,
+            octokit,
+            repoOwner,
+            repoName,
+            actionHookIncrement
+          );
+          if (actionInterface.changes.length > 0) {
+            actionInterfaces.set(actionPath, actionInterface);
           }
         }
       }
+      let hasInterfaceChange = actionInterfaces.size > 0;
 
-      let wouldTriggerVersionCheck = hasRegularChanges || hasPackageDepChanges || hasRuntimeChange;
+      let wouldTriggerVersionCheck =
+        hasRegularChanges ||
+        hasPackageDepChanges ||
+        hasRuntimeChange ||
+        hasContractChange ||
+        hasInterfaceChange ||
+        hasRenameChange ||
+        hasDeletionChange;
 
       // Stage 2: Only do commit analysis if the PR has relevant changes AND
       // skip keyword is set — otherwise there's nothing to skip
@@ -1331,40 +5395,72 @@ export async function run() {
           );
 
           // Re-evaluate relevance after filtering and update main flags
-          hasRegularChanges = hasRelevantFileChanges(changedFiles);
+          hasRegularChanges = getRelevantFiles(changedFiles).length > 0;
           const filteredPackageDepResult = await hasPackageDependencyChanges(
             changedFiles,
             octokit,
             repoOwner,
-            repoName
+            repoName,
+            dependencyOptions
           );
           hasPackageDepChanges = filteredPackageDepResult.hasChanges;
           onlyDevDependencies = filteredPackageDepResult.onlyDevDependencies;
 
-          // Recompute runtime change — action.yml may have been filtered out
-          if (hasRuntimeChange) {
-            const actionYmlStillChanged = changedFiles.some(
-              f => f === DEFAULT_ACTION_YML_PATH || f.endsWith(`/${DEFAULT_ACTION_YML_PATH}`)
-            );
-            hasRuntimeChange = actionYmlStillChanged;
+          // Recompute runtime change — action metadata files and Dockerfiles may have been filtered out
+          actionMetadataPaths = actionMetadataPaths.filter(file => changedFiles.includes(file));
+          runtimeCheckPaths = getRuntimeCheckPaths(changedFiles, actionMetadataPaths);
+          for (const actionPath of actionRuntimeChanges.keys()) {
+            if (!runtimeCheckPaths.includes(actionPath)) {
+              actionRuntimeChanges.delete(actionPath);
+            }
           }
+          hasRuntimeChange = actionRuntimeChanges.size > 0;
 
-          wouldTriggerVersionCheck = hasRegularChanges || hasPackageDepChanges || hasRuntimeChange;
+          // Drop the contract changes if package.json was filtered out
+          if (manifestContract && !changedFiles.includes(packageJsonPath)) {
+            manifestContract = null;
+            hasContractChange = false;
+          }
 
-          if (!wouldTriggerVersionCheck) {
-            if (onlyDevDependencies) {
-              logMessage('⏭️ Only devDependency changes detected, skipping version check', 'notice');
-            } else {
-              logMessage(
-                '⏭️ No JavaScript/TypeScript files or dependency changes detected, skipping version check',
-                'notice'
-              );
+          // Drop the interface changes of action metadata files that were filtered out
+          for (const actionPath of actionInterfaces.keys()) {
+            if (!actionMetadataPaths.includes(actionPath)) {
+              actionInterfaces.delete(actionPath);
             }
-            return;
           }
+          hasInterfaceChange = actionInterfaces.size > 0;
+
+          // Drop the rename changes if the breaking renames were filtered out
+          if (
+            hasRenameChange &&
+            !renames.some(entry => changedFiles.includes(entry.filename) && !internalRenames.includes(entry.filename))
+          ) {
+            renameChanges = null;
+            hasRenameChange = false;
+          }
+
+          // Drop the deletion changes if the deleted files were filtered out
+          if (hasDeletionChange && !removedFiles.some(file => changedFiles.includes(file))) {
+            deletionChanges = null;
+            hasDeletionChange = false;
+          }
+
+          wouldTriggerVersionCheck =
+            hasRegularChanges ||
+            hasPackageDepChanges ||
+            hasRuntimeChange ||
+            hasContractChange ||
+            hasInterfaceChange ||
+            hasRenameChange ||
+            hasDeletionChange;
         }
       }
 
+      // Set even when the contract check is skipped or nothing triggers the version check
+      if (isNodeEnginesNarrowed(manifestContract)) {
+        core.setOutput('engines-changed', 'true');
+      }
+
       if (!wouldTriggerVersionCheck) {
         if (onlyDevDependencies) {
           logMessage('⏭️ Only devDependency changes detected, skipping version check', 'notice');
@@ -1382,136 +5478,316 @@ export async function run() {
       }
       if (hasRegularChanges) {
         logMessage('✅ JavaScript/TypeScript file changes detected, proceeding with version check...');
-        const relevantFiles = changedFiles.filter(file => isRelevantFile(file));
+        const relevantFiles = getRelevantFiles(changedFiles);
         logMessage(`Changed files: ${relevantFiles.join(', ')}`);
       }
       if (hasRuntimeChange && !hasRegularChanges && !hasPackageDepChanges) {
-        logMessage('✅ action.yml Node.js Actions runtime change detected, proceeding with version check...');
+        logMessage('✅ Actions runtime change detected, proceeding with version check...');
       }
-    }
-
-    // Validate package.json and package-lock.json version consistency
-    if (!skipVersionConsistencyCheck) {
-      logMessage('🔄 Checking package.json and package-lock.json version consistency...');
-      const consistencyResult = validatePackageVersionConsistency(packagePath);
-      if (!consistencyResult.isValid) {
-        core.setFailed(`❌ ERROR: ${consistencyResult.error}`);
-        logMessage(`💡 HINT: Run 'npm install' to regenerate package-lock.json with the correct version`, 'notice');
-        return;
+      if (hasContractChange) {
+        logMessage('✅ package.json public contract changes detected, proceeding with version check...');
       }
-      if (consistencyResult.lockVersion) {
-        logMessage(`✅ Version consistency check passed (${consistencyResult.packageVersion})`);
+      if (hasInterfaceChange) {
+        logMessage('✅ action.yml interface changes detected, proceeding with version check...');
+      }
+      if (hasRenameChange) {
+        logMessage('✅ Renamed public paths detected, proceeding with version check...');
+      }
+      if (hasDeletionChange) {
+        logMessage('✅ Deleted public files detected, proceeding with version check...');
       }
-    } else {
-      logMessage('⏭️ Skipping version consistency check (skip-version-consistency-check: true)');
     }
 
-    // Read package.json
-    const packageJson = readPackageJson(packagePath);
-    const currentVersion = packageJson.version;
-
-    logMessage(`📦 Current version: ${currentVersion}`);
-    core.setOutput('current-version', currentVersion);
-
-    // Get latest tag via GitHub API
-    logMessage('🏷️ Fetching repository tags...');
-    const latestTag = await getLatestVersionTag(tagPrefix, octokit);
+    const versionResult = await checkPackageVersion(packagePath, tagPrefix, octokit, {
+      skipVersionConsistencyCheck,
+      skipSequentialVersionCheck
+    });
+    const { currentVersion, previousVersion: latestVersion } = versionResult;
+    if (currentVersion) {
+      core.setOutput('current-version', currentVersion);
+    }
+    if (latestVersion) {
+      core.setOutput('previous-version', latestVersion);
+    }
+    if (versionResult.incrementType) {
+      core.setOutput('version-increment-type', versionResult.incrementType);
+    }
 
-    if (!latestTag) {
-      logMessage('🎉 No previous version tag found, this appears to be the first release.', 'notice');
-      logMessage('✅ Version check passed - first release');
-      core.setOutput('version-changed', 'true');
+    if (!versionResult.passed) {
+      core.setFailed(`❌ ERROR: ${versionResult.error}`);
+      logMessage(`💡 HINT: ${versionResult.hint}`, 'notice');
       return;
     }
 
-    // Extract version from tag
-    const latestVersion = latestTag.replace(tagPrefix, '');
-    logMessage(`🔖 Latest released version: ${latestVersion} (tag: ${latestTag})`);
-    core.setOutput('previous-version', latestVersion);
+    core.setOutput('version-changed', 'true');
+    if (!latestVersion) {
+      // First release - nothing to compare the runtime against
+      return;
+    }
 
-    // Compare versions
-    logMessage('⚖️ Comparing versions...');
-    const comparison = compareVersions(currentVersion, latestVersion);
+    // Without the PR files check, every action in the checkout may have changed
+    if (skipFilesCheck && (!skipMajorOnActionsRuntimeChange || !skipActionInterfaceCheck)) {
+      actionMetadataPaths = findActionMetadataFiles(packageDir);
+      runtimeCheckPaths = actionMetadataPaths;
+    }
 
-    switch (comparison) {
-      case 'same':
-        core.setFailed(
-          `❌ ERROR: Package version (${currentVersion}) is the same as the latest release. You need to increment it.`
-        );
-        logMessage(
-          `💡 HINT: Run 'npm version patch', 'npm version minor', or 'npm version major' to increment the version`,
-          'notice'
-        );
-        return;
+    // Check if an action's runtime changed and require major version bump
+    if (!skipMajorOnActionsRuntimeChange && baseRef && headRef) {
+      // Without the PR files check, the runtimes were not inspected yet
+      if (skipFilesCheck) {
+        for (const actionPath of runtimeCheckPaths) {
+          const runtimeChange = await detectActionRuntimeChange(
+            baseRef,
+            headRef,
+            actionPath,
+            octokit,
+            repoOwner,
+            repoName
+          );
+          if (runtimeChange.changed) {
+            actionRuntimeChanges.set(actionPath, runtimeChange);
+          }
+        }
+      }
+      const runtimeChanges = [];
+      for (const [actionPath, runtimeChange] of actionRuntimeChanges) {
+        logMessage(`⚠️ ${actionPath} ${runtimeChange.description}`);
+        runtimeChanges.push({
+          action: actionPath,
+          base: runtimeChange.baseRuntime,
+          head: runtimeChange.headRuntime,
+          description: runtimeChange.description
+        });
+      }
 
-      case 'lower':
-        core.setFailed(
-          `❌ ERROR: Package version (${currentVersion}) is lower than the latest release (${latestVersion})`
-        );
-        logMessage(
-          '💡 HINT: Version should be higher than the previous release. Consider using semantic versioning.',
-          'notice'
-        );
-        return;
+      if (runtimeChanges.length > 0) {
+        core.setOutput('runtime-changed', 'true');
+        core.setOutput('runtime-changes', JSON.stringify(runtimeChanges));
 
-      case 'higher': {
-        // Check if the version increment is sequential before declaring success
-        const sequentialResult = isSequentialVersion(currentVersion, latestVersion);
-        if (sequentialResult.incrementType) {
-          core.setOutput('version-increment-type', sequentialResult.incrementType);
-        }
-        if (!sequentialResult.isSequential && sequentialResult.incrementType && !skipSequentialVersionCheck) {
-          core.setFailed(`❌ ERROR: ${sequentialResult.message}`);
+        if (!isMajorVersionBump(currentVersion, latestVersion)) {
+          const [change] = runtimeChanges;
+          core.setFailed(
+            `❌ ERROR: ${change.action} ${change.description}. This requires a MAJOR version bump (current: ${currentVersion}, previous: ${latestVersion}).`
+          );
           logMessage(
-            `💡 HINT: Use 'npm version ${sequentialResult.incrementType}' from version ${latestVersion} to get ${sequentialResult.expectedVersion}`,
+            `💡 HINT: Actions runtime changes are breaking changes for action consumers. Run 'npm version major' to increment the major version.`,
             'notice'
           );
           return;
         }
 
-        logMessage(`✅ Version has been properly incremented from ${latestVersion} to ${currentVersion}`);
-        logMessage('🎯 Semantic versioning check passed!');
-        core.setOutput('version-changed', 'true');
-        break;
+        for (const change of runtimeChanges) {
+          logMessage(`✅ Major version bump detected for ${change.action} runtime change (${change.description})`);
+        }
       }
     }
 
-    // Check if action.yml node runtime changed and require major version bump
-    if (!skipMajorOnActionsRuntimeChange) {
-      const baseRef = github.context.payload.pull_request?.base?.sha;
-      const headRef = github.context.payload.pull_request?.head?.sha || github.context.sha;
-
-      if (baseRef && headRef) {
-        const runtimeChange = await detectNodeRuntimeChange(
-          baseRef,
-          headRef,
-          DEFAULT_ACTION_YML_PATH,
-          octokit,
-          repoOwner,
-          repoName
-        );
-
-        if (runtimeChange.changed) {
-          logMessage(
-            `⚠️ Node.js Actions runtime changed: node${runtimeChange.baseVersion} -> node${runtimeChange.headVersion}`
+    // Collect the increments required by the package.json and action metadata contracts, renamed and deleted public files, the public API, the type declarations, and the PR's Conventional Commits and title
+    const incrementRequirements = [];
+    // Without the PR files check, package.json may have changed but was not inspected yet
+    if (skipFilesCheck && baseRef && headRef) {
+      manifestContract = await detectManifestContractChanges(
+        baseRef,
+        headRef,
+        packageJsonPath,
+        octokit,
+        repoOwner,
+        repoName
+      );
+      if (isNodeEnginesNarrowed(manifestContract)) {
+        core.setOutput('engines-changed', 'true');
+      }
+    }
+    if (!skipManifestContractCheck && manifestContract && manifestContract.changes.length > 0) {
+      logMessage(`📝 ${packageJsonPath} public contract changes:`);
+      for (const change of manifestContract.changes) {
+        logMessage(`  - ${change.description} (${change.incrementType})`);
+      }
+      const change = manifestContract.changes.find(c => c.incrementType === manifestContract.incrementType);
+      incrementRequirements.push({
+        incrementType: change.incrementType,
+        source: `${packageJsonPath} change (${change.description})`,
+        hint: `Changes to the package.json public contract affect how consumers install and import the package. Run 'npm version ${change.incrementType}' from version ${latestVersion}.`
+      });
+    }
+    if (!skipActionInterfaceCheck) {
+      // Without the PR files check, the action metadata may have changed but was not inspected yet
+      if (skipFilesCheck && baseRef && headRef) {
+        for (const actionPath of actionMetadataPaths) {
+          const actionInterface = await detectActionInterfaceChanges(
+            baseRef,
+            headRef,
+            actionPath,
+            octokit,
+            repoOwner,
+            repoName,
+            actionHookIncrement
           );
-          core.setOutput('runtime-changed', 'true');
-
-          if (!isMajorVersionBump(currentVersion, latestVersion)) {
-            core.setFailed(
-              `❌ ERROR: action.yml Node.js Actions runtime changed from node${runtimeChange.baseVersion} to node${runtimeChange.headVersion}. This requires a MAJOR version bump (current: ${currentVersion}, previous: ${latestVersion}).`
-            );
-            logMessage(
-              `💡 HINT: Node.js Actions runtime changes are breaking changes for action consumers. Run 'npm version major' to increment the major version.`,
-              'notice'
-            );
-            return;
+          if (actionInterface.changes.length > 0) {
+            actionInterfaces.set(actionPath, actionInterface);
           }
-
+        }
+      }
+      const interfaceChanges = [];
+      for (const [actionPath, actionInterface] of actionInterfaces) {
+        logMessage(`📝 ${actionPath} interface changes:`);
+        for (const change of actionInterface.changes) {
+          logMessage(`  - ${change.description} (${change.incrementType})`);
+          interfaceChanges.push({ action: actionPath, ...change });
+        }
+        const change = actionInterface.changes.find(c => c.incrementType === actionInterface.incrementType);
+        incrementRequirements.push({
+          incrementType: change.incrementType,
+          source: `${actionPath} change (${change.description})`,
+          hint: change.field.startsWith('runs.')
+            ? `Workflows using the action run different code when its entrypoints or pre and post hooks change. Run 'npm version ${change.incrementType}' from version ${latestVersion}.`
+            : `Workflows using the action break when an input or output they rely on is removed or changes meaning. Run 'npm version ${change.incrementType}' from version ${latestVersion}.`
+        });
+      }
+      if (interfaceChanges.length > 0) {
+        core.setOutput('action-interface-changes', JSON.stringify(interfaceChanges));
+      }
+      const lifecycleChanges = interfaceChanges.filter(change => change.field.startsWith('runs.'));
+      if (lifecycleChanges.length > 0) {
+        await writeActionLifecycleSummary(lifecycleChanges);
+      }
+    }
+    if (renameChanges && renameChanges.changes.length > 0) {
+      logMessage('📝 Renamed public paths:');
+      for (const change of renameChanges.changes) {
+        logMessage(`  - ${change.description} (${change.incrementType})`);
+      }
+      incrementRequirements.push({
+        incrementType: renameChanges.incrementType,
+        source: `Rename (${renameChanges.changes[0].description})`,
+        hint: `Consumers that import or run the old path break when the file moves. Point ${packageJsonPath} at the new path or run 'npm version major' from version ${latestVersion}.`
+      });
+    }
+    if (deletionChanges && deletionChanges.changes.length > 0) {
+      logMessage('📝 Deleted public files:');
+      for (const change of deletionChanges.changes) {
+        logMessage(`  - ${change.description} (${change.incrementType})`);
+      }
+      incrementRequirements.push({
+        incrementType: deletionChanges.incrementType,
+        source: `Deleted file (${deletionChanges.changes[0].description})`,
+        hint: `Consumers that import or run a deleted file break. Restore the file (e.g., re-exporting its replacement) or run 'npm version major' from version ${latestVersion}.`
+      });
+    }
+    if (checkApiSurface && baseRef && headRef) {
+      logMessage('🔎 Comparing the exports of the package entry points...');
+      const apiSurface = await detectApiSurfaceChanges(baseRef, headRef, packageDir, octokit, repoOwner, repoName);
+      if (apiSurface.changes.length === 0) {
+        logMessage('No public API changes detected');
+      } else {
+        logMessage('📝 Public API changes:');
+        for (const change of apiSurface.changes) {
+          logMessage(`  - ${change.description} (${change.incrementType})`);
+        }
+        const change = apiSurface.changes.find(c => c.incrementType === apiSurface.incrementType);
+        incrementRequirements.push({
+          incrementType: change.incrementType,
+          source: `Public API change (${change.description})`,
+          hint: `Removing an export breaks consumers that import it, and adding one is a new feature. Run 'npm version ${change.incrementType}' from version ${latestVersion}.`
+        });
+      }
+    }
+    if (checkTypeDeclarations && baseRef && headRef) {
+      logMessage('🔎 Comparing the type declarations of the package entry points...');
+      const declarations = await detectTypeDeclarationChanges(
+        baseRef,
+        headRef,
+        packageDir,
+        octokit,
+        repoOwner,
+        repoName
+      );
+      if (declarations.changes.length === 0) {
+        logMessage('No type declaration changes detected');
+      } else {
+        logMessage('📝 Type declaration changes:');
+        for (const change of declarations.changes) {
+          logMessage(`  - ${change.description} (${change.incrementType})`);
+        }
+        if (declarations.changes.some(c => c.incrementType === 'unknown')) {
           logMessage(
-            `✅ Major version bump detected for Node.js Actions runtime change (node${runtimeChange.baseVersion} -> node${runtimeChange.headVersion})`
+            '⚠️ Some type declaration changes could not be compared, so they do not require a specific increment. Review them to choose the version bump.',
+            'warning'
           );
         }
+        const change = declarations.changes.find(c => c.incrementType === declarations.incrementType);
+        if (change) {
+          incrementRequirements.push({
+            incrementType: change.incrementType,
+            source: `Type declaration change (${change.description})`,
+            hint: `TypeScript consumers fail to compile when a declaration is removed or narrowed. Run 'npm version ${change.incrementType}' from version ${latestVersion}.`
+          });
+        }
+      }
+    }
+    if (conventionalCommits) {
+      logMessage('📝 Checking Conventional Commits for the required version increment...');
+      const commits = await getCommitsWithMessages(octokit);
+      const required = getRequiredIncrementType(commits);
+
+      if (!required.incrementType) {
+        logMessage('No Conventional Commits found in PR, skipping required increment check');
+      } else {
+        const commitHeader = required.commit.message.split(/\r?\n/)[0];
+        incrementRequirements.push({
+          incrementType: required.incrementType,
+          source: `Commit ${required.commit.sha.substring(0, 7)} ("${commitHeader}")`,
+          hint: getConventionalIncrementHint(required.incrementType, latestVersion, 'reword the commit')
+        });
+      }
+    }
+    if (conventionalPrTitle) {
+      logMessage('📝 Checking the PR title for the required version increment...');
+      const pullRequest = github.context.payload.pull_request || {};
+      const parsedTitle = parsePullRequestTitle(pullRequest.title, conventionalPrBody ? pullRequest.body : null);
+
+      if (!parsedTitle) {
+        logMessage(
+          `⚠️ PR title "${pullRequest.title || ''}" is not a Conventional Commit (e.g., 'feat: add option'), skipping PR title check`,
+          'warning'
+        );
+      } else {
+        logMessage(`Debug: PR title (${parsedTitle.type}) requires a ${parsedTitle.incrementType} bump`, 'debug');
+        incrementRequirements.push({
+          incrementType: parsedTitle.incrementType,
+          source: `PR title "${pullRequest.title.split(/\r?\n/)[0].trim()}"`,
+          hint: getConventionalIncrementHint(
+            parsedTitle.incrementType,
+            latestVersion,
+            conventionalPrBody ? 'edit the PR title and body' : 'edit the PR title'
+          )
+        });
+      }
+    }
+
+    // Check that the version increment is at least the largest requirement
+    if (incrementRequirements.length > 0) {
+      const required = incrementRequirements.reduce((largest, requirement) =>
+        compareIncrementTypes(requirement.incrementType, largest.incrementType) > 0 ? requirement : largest
+      );
+      core.setOutput('required-increment-type', required.incrementType);
+      const actualIncrement = versionResult.incrementType;
+
+      if (!actualIncrement) {
+        logMessage(
+          `⚠️ Could not determine the increment type of ${latestVersion} -> ${currentVersion}, skipping required increment check`,
+          'warning'
+        );
+      } else if (compareIncrementTypes(actualIncrement, required.incrementType) < 0) {
+        core.setFailed(
+          `❌ ERROR: ${required.source} requires a ${required.incrementType.toUpperCase()} version bump, but the version was only given a ${actualIncrement} bump (current: ${currentVersion}, previous: ${latestVersion}).`
+        );
+        logMessage(`💡 HINT: ${required.hint}`, 'notice');
+        return;
+      } else {
+        logMessage(
+          `✅ ${actualIncrement} version bump satisfies the ${required.incrementType} bump required by ${required.source}`
+        );
       }
     }
 